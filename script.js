@@ -5,8 +5,11 @@
 
 // ── Page State ────────────────────────────────────────────────
 const Pages = Object.freeze({
+  COUNTDOWN: 'countdown-page',
   CAPTCHA: 'captcha-page',
+  QUIZ: 'quiz-page',
   PROPOSAL: 'proposal-page',
+  DATE: 'date-page',
   CONGRATS: 'congrats-page',
 });
 
@@ -29,983 +32,7398 @@ const confettiCanvas   = document.getElementById('confetti-canvas');
 const replayBtn        = document.getElementById('replay-btn');
 const envelopeWrapper  = document.getElementById('envelope-wrapper');
 const envelopePrompt   = document.getElementById('envelope-prompt');
+const envelopeSeal     = document.getElementById('envelope-seal');
 const messageCard      = document.getElementById('message-card');
 const starfieldCanvas  = document.getElementById('starfield-canvas');
+const captchaTitle     = document.getElementById('captcha-title');
+const captchaPrompt    = document.getElementById('captcha-prompt');
+const captchaInstruction = document.getElementById('captcha-instruction');
+const captchaProgress  = document.getElementById('captcha-progress');
+const configErrorSummary = document.getElementById('config-error-summary');
+const configErrorList    = document.getElementById('config-error-list');
 
-// ── CAPTCHA Configuration ─────────────────────────────────────
-const CAPTCHA_IMAGES = [
-  { src: 'assets/captcha/boyfriend-1.jpg', isTarget: true,  alt: 'Photo candidate 1' },
-  { src: 'assets/captcha/boyfriend-2.jpg', isTarget: true,  alt: 'Photo candidate 2' },
-  { src: 'assets/captcha/boyfriend-3.jpg', isTarget: true,  alt: 'Photo candidate 3' },
-  { src: 'assets/captcha/boyfriend-4.jpg', isTarget: true,  alt: 'Photo candidate 4' },
-  { src: 'assets/captcha/other-1.jpg',     isTarget: false, alt: 'Photo candidate 5' },
-  { src: 'assets/captcha/other-2.jpg',     isTarget: false, alt: 'Photo candidate 6' },
-  { src: 'assets/captcha/other-3.jpg',     isTarget: false, alt: 'Photo candidate 7' },
-  { src: 'assets/captcha/other-4.jpg',     isTarget: false, alt: 'Photo candidate 8' },
-  { src: 'assets/captcha/other-5.jpg',     isTarget: false, alt: 'Photo candidate 9' },
-];
-
-let selectedCells = new Set();
-let failureCount = 0;
+let selectedCells = new Set();   // Grid indices, in the order they were clicked
 
 // ================================================================
-//  PAGE NAVIGATION
+//  EXPERIENCE CONFIG — Everything personal comes from config.json
 // ================================================================
 
+const CONFIG_URL = 'config.json';
+const CONFIG_ERROR_PAGE = 'config-error-page';
+
+/** The validated config for the current experience (set during init). */
+let experienceConfig = null;
+
 /**
- * Transition to a specific page with fade animation.
- * @param {string} pageId - The page ID to show.
+ * Raised when the config is unreadable or fails validation.
+ * `problems` lists every issue found so they can all be fixed in one pass.
  */
-function showPage(pageId) {
-  // Deactivate all pages
-  document.querySelectorAll('.page').forEach((p) => p.classList.remove('active'));
+class ConfigError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [problems]
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
 
-  // Activate requested page
-  const target = document.getElementById(pageId);
-  if (target) {
-    // Small delay for CSS transition to pick up the class removal
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        target.classList.add('active');
-      });
-    });
+/**
+ * Find and validate the experience config. In order of preference it comes
+ * from a shared link (`#captcha?config=…`), a config embedded in the page by
+ * a downloaded bundle, or config.json.
+ * @returns {Promise<Object>} The validated config
+ */
+async function resolveConfig() {
+  const shared = new URLSearchParams(splitHash(window.location.hash).query).get('config');
+  if (shared) {
+    let config;
+    try {
+      config = await decodeConfigParam(shared);
+    } catch (err) {
+      throw new ConfigError(`This link's personalised content couldn't be read — it may have been cut short (${err.message}).`);
+    }
+    return checkConfig(config, 'This link');
   }
 
-  currentPage = pageId;
+  const embedded = document.getElementById('experience-config');
+  if (embedded) {
+    let config;
+    try {
+      config = JSON.parse(embedded.textContent);
+    } catch (err) {
+      throw new ConfigError(`The embedded config is not valid JSON (${err.message}).`);
+    }
+    return checkConfig(config, 'The embedded config');
+  }
+
+  return loadConfig();
 }
 
-// ================================================================
-//  PAGE 1 — CAPTCHA
-// ================================================================
+/**
+ * Throw a ConfigError listing every problem when a config is invalid.
+ * @param {*} config
+ * @param {string} source - How to refer to the config in the message
+ * @returns {Object} The config, when valid
+ */
+function checkConfig(config, source) {
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    throw new ConfigError(`${source} has ${problems.length} problem(s):`, problems);
+  }
+  return config;
+}
 
 /**
- * Shuffle an array in-place using Fisher-Yates algorithm.
- * @param {Array} arr
- * @returns {Array} The shuffled array
+ * Fetch and validate the experience config.
+ * @param {string} [url]
+ * @returns {Promise<Object>} The validated config
  */
-function shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+async function loadConfig(url = CONFIG_URL) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    throw new ConfigError(`Couldn't load ${url} (${err.message}).`);
   }
-  return arr;
+  if (!response.ok) {
+    throw new ConfigError(`Couldn't load ${url} (HTTP ${response.status}).`);
+  }
+
+  let config;
+  try {
+    config = await response.json();
+  } catch (err) {
+    throw new ConfigError(`${url} is not valid JSON (${err.message}).`);
+  }
+
+  return checkConfig(config, url);
 }
 
 /**
- * Build the 3×3 CAPTCHA grid with randomized image positions.
+ * Whether a config value is a non-empty string.
+ * @param {*} value
+ * @returns {boolean}
  */
-function initCaptchaGrid() {
-  captchaGrid.innerHTML = '';
-  selectedCells.clear();
-  updateVerifyButton();
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
 
-  // Shuffle images for random layout each time
-  const shuffled = shuffleArray([...CAPTCHA_IMAGES]);
+/**
+ * Check the shape of an experience config.
+ * @param {*} config
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+function validateConfig(config) {
+  const problems = [];
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
 
-  shuffled.forEach((imgData, index) => {
-    const cell = document.createElement('div');
-    cell.classList.add('captcha-cell');
-    cell.setAttribute('role', 'checkbox');
-    cell.setAttribute('aria-checked', 'false');
-    cell.setAttribute('tabindex', '0');
-    cell.setAttribute('aria-label', imgData.alt);
-    cell.dataset.index = index;
-    cell.dataset.isTarget = imgData.isTarget;
+  if (!isObject(config)) {
+    return ['The config must be a JSON object.'];
+  }
 
-    const img = document.createElement('img');
-    img.src = imgData.src;
-    img.alt = imgData.alt;
-    img.draggable = false;
-    img.loading = 'eager';
+  // Recipient
+  if (!isObject(config.recipient) || !isText(config.recipient.name)) {
+    problems.push('recipient.name must be a non-empty string.');
+  }
 
-    // Checkmark overlay
-    const checkOverlay = document.createElement('div');
-    checkOverlay.classList.add('check-overlay');
-    checkOverlay.innerHTML = `
-      <svg viewBox="0 0 24 24" aria-hidden="true">
-        <polyline points="20 6 9 17 4 12" />
-      </svg>
-    `;
+  // Stages (optional): which pages to play, in order
+  const stageRoutes = Object.values(Stages).map((stage) => stage.route);
+  if (config.stages !== undefined &&
+      (!Array.isArray(config.stages) || config.stages.length === 0 ||
+       !config.stages.every((route) => stageRoutes.includes(route)) ||
+       new Set(config.stages).size !== config.stages.length)) {
+    problems.push(`stages must be a non-empty list of distinct stages from: ${stageRoutes.join(', ')}.`);
+  } else {
+    Object.values(Stages).forEach(({ route, requires }) => {
+      if (requires && config.stages?.includes(route) && config[requires] === undefined) {
+        problems.push(`stages includes "${route}", which needs a ${requires} section in the config.`);
+      }
+    });
+    if (config.stages?.includes('countdown') && config.stages[0] !== 'countdown') {
+      problems.push('stages must start with "countdown" when it is included.');
+    }
+  }
+  const stages = configuredStages(config);
+
+  // Countdown (optional)
+  const countdown = config.countdown;
+  if (countdown !== undefined) {
+    if (!isObject(countdown) ||
+        !(typeof countdown.until === 'string' &&
+          /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(countdown.until))) {
+      problems.push('countdown.until must be a date and time like "2025-02-14T00:00".');
+    } else if (countdown.timeZone !== undefined) {
+      let known = isText(countdown.timeZone);
+      try {
+        if (known) new Intl.DateTimeFormat('en', { timeZone: countdown.timeZone });
+      } catch {
+        known = false;
+      }
+      if (!known) problems.push('countdown.timeZone must be a time zone like "Europe/Paris" when present.');
+    }
+    if (isObject(countdown) && countdown.previewKey !== undefined &&
+        !(typeof countdown.previewKey === 'string' && /^[0-9a-f]{64}$/i.test(countdown.previewKey))) {
+      problems.push('countdown.previewKey must be a SHA-256 hash in hex, as made by previewKeyHash(), when present.');
+    }
+  }
 
-    cell.appendChild(img);
-    cell.appendChild(checkOverlay);
-    captchaGrid.appendChild(cell);
+  // CAPTCHA (only needed when it's one of the stages)
+  const captcha = config.captcha;
+  if (captcha !== undefined || stages.includes('captcha')) {
+    if (!isObject(captcha)) {
+      problems.push('captcha must be an object.');
+    } else {
+      if (captcha.hint !== undefined && typeof captcha.hint !== 'string') {
+        problems.push('captcha.hint must be a string when present.');
+      }
+      if (captcha.errorMessages !== undefined &&
+          (!Array.isArray(captcha.errorMessages) || captcha.errorMessages.length === 0 ||
+           !captcha.errorMessages.every(isText))) {
+        problems.push('captcha.errorMessages must be a non-empty array of strings when present.');
+      }
 
-    // Click handler
-    cell.addEventListener('click', () => toggleCell(cell, index));
+      if (captcha.rounds !== undefined && (!Array.isArray(captcha.rounds) || captcha.rounds.length === 0)) {
+        problems.push('captcha.rounds must be a non-empty array when present.');
+      } else {
+        const usesRounds = Array.isArray(captcha.rounds);
+        getCaptchaRounds(captcha).forEach((round, i) => {
+          const path = usesRounds ? `captcha.rounds[${i}]` : 'captcha';
+          if (!isObject(round)) {
+            problems.push(`${path} must be an object.`);
+            return;
+          }
+          const type = ChallengeTypes[round.type];
+          if (!type) {
+            problems.push(`${path}.type must be one of: ${Object.keys(ChallengeTypes).join(', ')}.`);
+            return;
+          }
+          if (round.type !== 'chronological' && !isText(round.prompt)) {
+            problems.push(`${path}.prompt must be a non-empty string.`);
+          }
+          if (round.errorMessages !== undefined &&
+              (!Array.isArray(round.errorMessages) || round.errorMessages.length === 0 || !round.errorMessages.every(isText))) {
+            problems.push(`${path}.errorMessages must be a non-empty array of strings when present.`);
+          }
+          problems.push(...type.validate(round, path));
+        });
+      }
+    }
+  }
 
-    // Keyboard support (Enter/Space)
-    cell.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        toggleCell(cell, index);
+  // Quiz (optional)
+  const quiz = config.quiz;
+  if (quiz !== undefined) {
+    if (!isObject(quiz) || !Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+      problems.push('quiz must be an object with a non-empty questions array when present.');
+    } else {
+      if (quiz.errorMessages !== undefined &&
+          (!Array.isArray(quiz.errorMessages) || quiz.errorMessages.length === 0 || !quiz.errorMessages.every(isText))) {
+        problems.push('quiz.errorMessages must be a non-empty array of strings when present.');
+      }
+      if (quiz.hintAfter !== undefined && !(Number.isInteger(quiz.hintAfter) && quiz.hintAfter > 0)) {
+        problems.push('quiz.hintAfter must be a whole number of wrong answers (1 or more) when present.');
+      }
+      quiz.questions.forEach((question, i) => {
+        const path = `quiz.questions[${i}]`;
+        if (!isObject(question)) {
+          problems.push(`${path} must be an object.`);
+          return;
+        }
+        const type = QuestionTypes[question.type];
+        if (!type) {
+          problems.push(`${path}.type must be one of: ${Object.keys(QuestionTypes).join(', ')}.`);
+          return;
+        }
+        if (!isText(question.question)) {
+          problems.push(`${path}.question must be a non-empty string.`);
+        }
+        ['instruction', 'hint'].forEach((key) => {
+          if (question[key] !== undefined && typeof question[key] !== 'string') {
+            problems.push(`${path}.${key} must be a string when present.`);
+          }
+        });
+        if (question.errorMessages !== undefined &&
+            (!Array.isArray(question.errorMessages) || question.errorMessages.length === 0 || !question.errorMessages.every(isText))) {
+          problems.push(`${path}.errorMessages must be a non-empty array of strings when present.`);
+        }
+        problems.push(...type.validate(question, path));
+      });
+    }
+  }
+
+  // Sealed letter and gallery (optional), opened by a passphrase round
+  const sealed = config.sealed;
+  const passphraseRounds = isObject(captcha) && Array.isArray(captcha.rounds)
+    ? captcha.rounds.filter((round) => isObject(round) && round.type === 'passphrase').length
+    : 0;
+  if (sealed !== undefined) {
+    if (!isObject(sealed) || !(Number.isInteger(sealed.iterations) && sealed.iterations > 0) ||
+        !['salt', 'iv', 'data'].every((key) => isText(sealed[key]) && /^[A-Za-z0-9_-]+$/.test(sealed[key]))) {
+      problems.push('sealed must be { iterations, salt, iv, data } as made by the creator or sealContent().');
+    }
+    if (config.letter !== undefined || config.gallery !== undefined) {
+      problems.push('letter and gallery go inside sealed, so leave them out of the config.');
+    }
+    if (!stages.includes('captcha') || passphraseRounds !== 1) {
+      problems.push('sealed needs the captcha stage, with exactly one "passphrase" round to open it.');
+    }
+  } else if (passphraseRounds > 0) {
+    problems.push('captcha "passphrase" rounds only work with a sealed letter and gallery to open.');
+  }
+
+  // Letter
+  const letter = config.letter;
+  if (!isObject(letter)) {
+    if (sealed === undefined) problems.push('letter must be an object.');
+  } else {
+    if (!Array.isArray(letter.paragraphs) || letter.paragraphs.length === 0 ||
+        !letter.paragraphs.every(isText)) {
+      problems.push('letter.paragraphs must be a non-empty array of strings.');
+    }
+    if (letter.signature !== undefined && typeof letter.signature !== 'string') {
+      problems.push('letter.signature must be a string when present.');
+    }
+    if (letter.speed !== undefined && !TypewriterSpeeds[letter.speed]) {
+      problems.push(`letter.speed must be one of: ${Object.keys(TypewriterSpeeds).join(', ')}.`);
+    }
+    if (letter.constellation !== undefined && letter.constellation !== false &&
+        letter.constellation !== 'heart' &&
+        !(isText(letter.constellation) && [...letter.constellation.trim()].length <= 4)) {
+      problems.push('letter.constellation must be "heart", up to 4 characters of initials, or false.');
+    }
+  }
+
+  // Language (optional)
+  if (config.locale !== undefined) {
+    let known = isText(config.locale);
+    try {
+      if (known) Intl.getCanonicalLocales(config.locale);
+    } catch {
+      known = false;
+    }
+    if (!known) problems.push('locale must be a language tag like "fr" or "pt-BR" when present.');
+  }
+  // Message overrides, checked against the shape of the English bundle
+  const checkMessages = (messages, path) => {
+    if (!isObject(messages)) {
+      problems.push(`${path} must be an object of message IDs and text when present.`);
+      return;
+    }
+    Object.entries(messages).forEach(([key, value]) => {
+      const english = Messages.en[key];
+      if (english === undefined) {
+        problems.push(`${path}.${key} is not a known message ID.`);
+      } else if (Array.isArray(english)) {
+        if (!Array.isArray(value) || value.length === 0 || !value.every(isText)) {
+          problems.push(`${path}.${key} must be a non-empty array of strings.`);
+        }
+      } else if (typeof english === 'object') {
+        if (!isObject(value) || !isText(value.other) || !Object.values(value).every(isText)) {
+          problems.push(`${path}.${key} must be an object of plural forms with at least "other".`);
+        }
+      } else if (!isText(value)) {
+        problems.push(`${path}.${key} must be a non-empty string.`);
       }
     });
-  });
-}
+  };
+  if (config.messages !== undefined) checkMessages(config.messages, 'messages');
+
+  // Theme (optional): a built-in name, or a custom theme
+  const theme = config.theme;
+  const themeNames = Object.keys(Themes).join(', ');
+  if (typeof theme === 'string') {
+    if (!Themes[theme]) problems.push(`theme must be one of: ${themeNames} (or a custom theme object).`);
+  } else if (theme !== undefined && !isObject(theme)) {
+    problems.push('theme must be a theme name or a custom theme object when present.');
+  } else if (theme) {
+    const isList = (v) => Array.isArray(v) && v.length > 0 && v.every(isText);
+    if (theme.extends !== undefined && !Themes[theme.extends]) {
+      problems.push(`theme.extends must be one of: ${themeNames}.`);
+    }
+    if (theme.colors !== undefined) {
+      if (!isObject(theme.colors)) {
+        problems.push('theme.colors must be an object of design tokens and colours when present.');
+      } else {
+        Object.entries(theme.colors).forEach(([token, value]) => {
+          if (!THEME_COLOR_TOKENS.includes(token)) {
+            problems.push(`theme.colors.${token} is not a themeable token (use one of: ${THEME_COLOR_TOKENS.join(', ')}).`);
+          } else if (!isText(value)) {
+            problems.push(`theme.colors.${token} must be a CSS colour.`);
+          }
+        });
+      }
+    }
+    if (theme.hearts !== undefined && !isList(theme.hearts)) {
+      problems.push('theme.hearts must be a non-empty array of emojis when present.');
+    }
+    if (theme.confetti !== undefined) {
+      if (!isObject(theme.confetti) ||
+          (theme.confetti.colors !== undefined && !isList(theme.confetti.colors)) ||
+          (theme.confetti.emoji !== undefined && !isList(theme.confetti.emoji))) {
+        problems.push('theme.confetti must be an object with optional non-empty "colors" and "emoji" arrays.');
+      }
+    }
+    if (theme.symbol !== undefined && !isText(theme.symbol)) {
+      problems.push('theme.symbol must be a non-empty string when present.');
+    }
+    if (theme.seal !== undefined && !(isText(theme.seal) && /^\s*[Mm]/.test(theme.seal))) {
+      problems.push('theme.seal must be SVG path data (starting with "M") when present.');
+    }
+    if (theme.messages !== undefined) {
+      if (!isObject(theme.messages)) {
+        problems.push('theme.messages must be an object of languages when present.');
+      } else {
+        Object.entries(theme.messages).forEach(([language, messages]) => {
+          checkMessages(messages, `theme.messages.${language}`);
+        });
+      }
+    }
+  }
 
-/**
- * Toggle a CAPTCHA cell selection.
- * @param {HTMLElement} cell
- * @param {number} index
- */
-function toggleCell(cell, index) {
-  if (selectedCells.has(index)) {
-    selectedCells.delete(index);
-    cell.classList.remove('selected');
-    cell.setAttribute('aria-checked', 'false');
+  // Proposal (optional)
+  const proposal = config.proposal;
+  if (proposal !== undefined) {
+    const noButton = isObject(proposal) ? proposal.noButton : undefined;
+    if (!isObject(proposal) || (noButton !== undefined && !isObject(noButton))) {
+      problems.push('proposal.noButton must be an object when present.');
+    } else if (noButton) {
+      if (noButton.mode !== undefined && !NoButtonStrategies[noButton.mode]) {
+        problems.push(`proposal.noButton.mode must be one of: ${Object.keys(NoButtonStrategies).join(', ')}.`);
+      }
+      if (noButton.captions !== undefined &&
+          (!Array.isArray(noButton.captions) || noButton.captions.length === 0 || !noButton.captions.every(isText))) {
+        problems.push('proposal.noButton.captions must be a non-empty array of strings when present.');
+      }
+      if (noButton.goneMessage !== undefined && typeof noButton.goneMessage !== 'string') {
+        problems.push('proposal.noButton.goneMessage must be a string when present.');
+      }
+    }
+  }
+
+  // First date (optional)
+  const date = config.date;
+  if (date !== undefined) {
+    if (!isObject(date) || !['restaurants', 'activities', 'calendar'].some((key) => date[key] !== undefined)) {
+      problems.push('date must be an object with restaurants, activities and/or a calendar when present.');
+    } else {
+      ['restaurants', 'activities'].forEach((key) => {
+        if (date[key] === undefined) return;
+        if (!Array.isArray(date[key]) || date[key].length === 0) {
+          problems.push(`date.${key} must be a non-empty array when present.`);
+          return;
+        }
+        date[key].forEach((option, i) => {
+          if (!isObject(option) || !isText(option.name)) {
+            problems.push(`date.${key}[${i}].name must be a non-empty string.`);
+          } else if (['location', 'note'].some((field) => option[field] !== undefined && typeof option[field] !== 'string')) {
+            problems.push(`date.${key}[${i}].location and .note must be strings when present.`);
+          }
+        });
+      });
+
+      const calendar = date.calendar;
+      if (calendar !== undefined) {
+        const isDay = (v) => typeof v === 'string' && /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(v);
+        if (!isObject(calendar)) {
+          problems.push('date.calendar must be an object when present.');
+        } else {
+          if (!isDay(calendar.from) || !isDay(calendar.to)) {
+            problems.push('date.calendar.from and .to must be dates like "2024-02-14".');
+          } else if (parsePhotoDate(calendar.to) < parsePhotoDate(calendar.from)) {
+            problems.push('date.calendar.to must not be before date.calendar.from.');
+          }
+          if (!Array.isArray(calendar.times) || calendar.times.length === 0 ||
+              !calendar.times.every((time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+            problems.push('date.calendar.times must be a non-empty array of 24-hour times like "19:30".');
+          }
+          if (calendar.weekdays !== undefined &&
+              (!Array.isArray(calendar.weekdays) || calendar.weekdays.length === 0 ||
+               !calendar.weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+            problems.push('date.calendar.weekdays must be a non-empty array of days from 0 (Sunday) to 6 when present.');
+          }
+          if (calendar.duration !== undefined && !(Number.isInteger(calendar.duration) && calendar.duration > 0)) {
+            problems.push('date.calendar.duration must be a whole number of minutes when present.');
+          }
+        }
+      }
+    }
+  }
+
+  // Audio (optional)
+  const audio = config.audio;
+  if (audio !== undefined) {
+    if (!isObject(audio)) {
+      problems.push('audio must be an object when present.');
+    } else {
+      if (audio.tracks !== undefined && !isObject(audio.tracks)) {
+        problems.push('audio.tracks must be an object when present.');
+      } else if (audio.tracks) {
+        ['proposal', 'congrats'].forEach((name) => {
+          const track = audio.tracks[name];
+          if (track !== undefined && track !== null && !isText(track)) {
+            problems.push(`audio.tracks.${name} must be a file path, or null for the built-in tune.`);
+          }
+        });
+      }
+      ['musicVolume', 'effectsVolume'].forEach((key) => {
+        const volume = audio[key];
+        if (volume !== undefined && !(typeof volume === 'number' && volume >= 0 && volume <= 1)) {
+          problems.push(`audio.${key} must be a number from 0 to 1.`);
+        }
+      });
+    }
+  }
+
+  // Gallery
+  const gallery = config.gallery;
+  if (!isObject(gallery) || !Array.isArray(gallery.photos)) {
+    if (sealed === undefined) problems.push('gallery.photos must be an array (it may be empty).');
   } else {
-    selectedCells.add(index);
-    cell.classList.add('selected');
-    cell.setAttribute('aria-checked', 'true');
+    gallery.photos.forEach((photo, i) => {
+      if (!isObject(photo) || !isText(photo.src)) {
+        problems.push(`gallery.photos[${i}].src must be a non-empty string.`);
+        return;
+      }
+      problems.push(...validateImageSources(photo, `gallery.photos[${i}]`));
+      ['caption', 'location'].forEach((key) => {
+        if (photo[key] !== undefined && typeof photo[key] !== 'string') {
+          problems.push(`gallery.photos[${i}].${key} must be a string when present.`);
+        }
+      });
+      if (photo.date !== undefined && (typeof photo.date !== 'string' || !parsePhotoDate(photo.date))) {
+        problems.push(`gallery.photos[${i}].date must be a date like "2024-02-14" when present.`);
+      }
+    });
   }
-  updateVerifyButton();
 
-  // Hide error when user makes a new selection
-  captchaError.classList.remove('visible');
+  return problems;
 }
 
 /**
- * Enable or disable the verify button based on selections.
+ * Populate the static page copy and build the letter and galleries from config.
+ * @param {Object} config - A validated config
  */
-function updateVerifyButton() {
-  verifyBtn.disabled = selectedCells.size === 0;
+function applyConfig(config) {
+  experienceConfig = config;
+  stageOrder = configuredStages(config).map(stageForRoute);
+  countdownEnds = config.countdown ? countdownTarget(config.countdown) : null;
+
+  captchaTitle.textContent = t('captcha.titleNamed', { name: config.recipient.name });
+  captchaRounds = config.captcha ? getCaptchaRounds(config.captcha) : [];
+  quizQuestions = config.quiz ? config.quiz.questions : [];
+  selectNoButtonStrategy();
+
+  buildDateStage(config.date);
+  // Sealed content is built once its passphrase opens it
+  if (!config.sealed) {
+    buildLetter(config.letter);
+    buildSideGalleries(config.gallery.photos);
+  }
 }
 
 /**
- * Verify the user's CAPTCHA selections.
+ * Replace the experience with an explanation of what's wrong with the config.
+ * @param {Error} err
  */
-function verifyCaptcha() {
-  const cells = captchaGrid.querySelectorAll('.captcha-cell');
-  let allCorrect = true;
-
-  cells.forEach((cell) => {
-    const index = parseInt(cell.dataset.index);
-    const isTarget = cell.dataset.isTarget === 'true';
-    const isSelected = selectedCells.has(index);
-
-    // A correct answer means: selected if target, not selected if not target
-    if (isTarget !== isSelected) {
-      allCorrect = false;
-    }
+function showConfigError(err) {
+  console.error(err);
+
+  configErrorSummary.textContent = err instanceof ConfigError
+    ? err.message
+    : t('configError.unexpected', { message: err.message });
+
+  configErrorList.innerHTML = '';
+  (err.problems || []).forEach((problem) => {
+    const li = document.createElement('li');
+    li.textContent = problem;
+    configErrorList.appendChild(li);
   });
 
-  if (allCorrect) {
-    // ✅ Success → transition to Proposal page
-    captchaContainer.style.transition = 'transform 400ms ease, opacity 400ms ease';
-    captchaContainer.style.transform = 'scale(0.95)';
-    captchaContainer.style.opacity = '0';
-
-    setTimeout(() => {
-      showPage(Pages.PROPOSAL);
-      startFloatingHearts();
-    }, 500);
-  } else {
-    // ❌ Wrong → shake + show error with escalating messages
-    failureCount++;
-    captchaContainer.classList.add('shake');
-
-    // Cycle through different messages per attempt
-    const messages = [
-      "Hmm, that's not right. Try again",
-      "Umm ... come on now",
-      "Ok now i'm offended 💔",
-    ];
-    const msgIndex = Math.min(failureCount - 1, messages.length - 1);
-    captchaError.textContent = messages[msgIndex];
-    captchaError.classList.add('visible');
+  showPage(CONFIG_ERROR_PAGE);
+}
 
-    // Show hint on every failure
-    captchaHint.classList.add('visible');
+// Tags allowed in letter paragraphs; everything else is reduced to its text
+const RICH_TEXT_TAGS = new Set(['EM', 'STRONG', 'B', 'I', 'U', 'BR']);
 
-    // Remove shake class after animation completes
-    setTimeout(() => captchaContainer.classList.remove('shake'), 500);
+/**
+ * Append a config-supplied HTML snippet to an element, keeping only
+ * simple inline formatting so a config can't inject scripts or styles.
+ * @param {HTMLElement} el
+ * @param {string} html
+ */
+function appendRichText(el, html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  function copyNodes(from, to) {
+    from.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        to.appendChild(document.createTextNode(node.textContent));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (RICH_TEXT_TAGS.has(node.tagName)) {
+          const clean = document.createElement(node.tagName.toLowerCase());
+          copyNodes(node, clean);
+          to.appendChild(clean);
+        } else {
+          copyNodes(node, to);
+        }
+      }
+    });
   }
-}
 
-// Wire up verify button
-verifyBtn.addEventListener('click', verifyCaptcha);
+  copyNodes(template.content, el);
+}
 
 // ================================================================
-//  PAGE 2 — PROPOSAL (Floating Hearts & No Button Evasion)
+//  I18N — Message bundles, locale selection and right-to-left layout
 // ================================================================
 
-// ── Floating Hearts ───────────────────────────────────────────
-
-const HEART_EMOJIS = ['💗', '💕', '💖', '❤️', '💘', '💝', '🩷', '♥️'];
-let heartInterval = null;
-
 /**
- * Spawn floating heart elements in the background.
+ * Every piece of UI text, per language. English is complete; other bundles
+ * fall back to it for anything they leave out, and a config's `messages`
+ * override single entries. `{name}` placeholders are filled in by t().
+ * A message can also be a list (error messages, guilt captions) or a set
+ * of plural forms keyed by Intl.PluralRules category, picked by `count`.
+ *
+ * Markup uses `data-i18n="id"` for text, `data-i18n-rich="id"` for text
+ * with simple formatting, and `data-i18n-<attribute>="id"` for attributes.
  */
-function startFloatingHearts() {
-  if (heartInterval) return;
+const Messages = {
+  en: {
+    'page.title': 'I Love You 💟',
+    'page.description': 'I have an important question to ask you...',
+
+    'countdown.label': 'Countdown',
+    'countdown.heading': 'Something special is on its way 💌',
+    'countdown.opensAt': 'It opens on {when}',
+    'countdown.days': { one: 'day', other: 'days' },
+    'countdown.hours': { one: 'hour', other: 'hours' },
+    'countdown.minutes': { one: 'minute', other: 'minutes' },
+    'countdown.seconds': { one: 'second', other: 'seconds' },
+    'countdown.open': "It's time! 💘",
+    'countdown.preview': 'Preview — the countdown has been shortened',
+
+    'captcha.label': 'CAPTCHA verification',
+    'captcha.title': "Please verify it's you",
+    'captcha.titleNamed': 'Please verify you are {name}',
+    'captcha.subtitle': 'Security check required to proceed',
+    'captcha.gridLabel': 'Image selection grid',
+    'captcha.verify': 'Verify',
+    'captcha.verifyLabel': 'Verify your selections',
+    'captcha.privacy': 'Privacy',
+    'captcha.terms': 'Terms',
+    'captcha.round': 'Round {round} of {total}',
+    'captcha.candidate': 'Photo candidate {number}',
+    'captcha.selectTargets': 'Select all squares containing',
+    'captcha.oddOneOut': "Select the one photo that doesn't belong",
+    'captcha.chronological': 'Click the photos in the order they were taken',
+    'captcha.splitImage': 'Select all squares with',
+    'captcha.passphrase': 'Type the passphrase — your clue:',
+    'captcha.passphraseLabel': 'Passphrase',
+    'captcha.uncheckable': "This answer can't be checked here — the page needs a secure (https) address to unlock the letter.",
+    'captcha.errors': [
+      "Hmm, that's not right. Try again",
+      'Umm ... come on now',
+      "Ok now i'm offended 💔",
+    ],
+
+    'quiz.label': 'Relationship quiz',
+    'quiz.title': 'How well do you know us?',
+    'quiz.progress': 'Question {number} of {total}',
+    'quiz.choice': 'Pick one',
+    'quiz.text': "Type your answer — spelling doesn't have to be perfect",
+    'quiz.textPlaceholder': 'Your answer',
+    'quiz.order': 'Tap them in the order they happened',
+    'quiz.check': 'Check',
+    'quiz.errors': [
+      'Not quite. Try again',
+      'Hmm ... are you sure you know me?',
+      "Ok now i'm worried 💔",
+    ],
+    'quiz.correct': ['Correct! 🎉', 'You know me so well 💕', 'Spot on! ✨'],
+    'quiz.notOption': 'Hint: it isn’t “{option}”',
+    'quiz.startsWith': 'Hint: it starts with “{letter}”',
+    'quiz.firstEvent': 'Hint: “{event}” came first',
+    'quiz.score': '🧠 Quiz: {correct} of {total} right first time',
+    'quiz.perfectScore': '🧠 Quiz: a perfect {total} out of {total}!',
+
+    'proposal.label': 'Valentine proposal',
+    'proposal.heading': 'Will you be my Valentine?',
+    'proposal.subtext': 'Please please please please please say yes',
+    'proposal.yes': 'Yes!',
+    'proposal.yesLabel': 'Yes, I will be your Valentine',
+    'proposal.no': 'No...',
+    'proposal.noLabel': 'No',
+    'proposal.guiltCaptions': [
+      'Are you sure?',
+      'Really sure??',
+      'Think again...',
+      'Last chance!',
+      "You're breaking my heart 💔",
+      'Pretty please?',
+    ],
+    'proposal.goneMessage': 'Feck Aff...',
+
+    'congrats.label': 'Congratulations',
+    'congrats.heading': 'Congratulations!',
+    'congrats.openMe': 'Open Me',
+    'congrats.openLetter': 'Open the love letter',
+    'congrats.skip': 'Skip ⏩',
+    'congrats.skipLabel': 'Skip ahead in the letter',
+    'congrats.replay': 'Start over? 🔄',
+    'congrats.replayLabel': 'Restart the experience',
+
+    'gallery.leftLabel': 'Photos (left) — arrow keys to browse, Enter to enlarge',
+    'gallery.rightLabel': 'Photos (right) — arrow keys to browse, Enter to enlarge',
+    'gallery.photoAlt': 'Our memory together',
+
+    'timeline.open': 'Our timeline 📅',
+    'timeline.title': 'Our timeline',
+    'timeline.close': 'Close timeline',
+    'timeline.undated': 'Undated',
+    'timeline.enlarge': 'Enlarge {photo}',
+    'timeline.photo': 'photo {number}',
+
+    'lightbox.label': 'Photo viewer',
+    'lightbox.close': 'Close photo',
+    'lightbox.previous': 'Previous photo',
+    'lightbox.next': 'Next photo',
+    'lightbox.counter': '{number} / {total}',
+
+    'keepsake.open': 'Keepsake card 💌',
+    'keepsake.title': 'A keepsake',
+    'keepsake.close': 'Close keepsake card',
+    'keepsake.previewAlt': 'Keepsake card with our photos and the letter',
+    'keepsake.making': 'Making your card…',
+    'keepsake.failed': "Sorry, the card couldn't be made on this device.",
+    'keepsake.download': 'Download PNG ⬇️',
+    'keepsake.share': 'Share 📤',
+    'keepsake.heading': '{name} said yes! 💘',
+    'keepsake.escapes': {
+      one: '“No” tried to escape once 🏃',
+      other: '“No” tried to escape {count} times 🏃',
+    },
+    'keepsake.noEscapes': '“No” never stood a chance',
+
+    'date.label': 'Pick our first date',
+    'date.heading': 'Pick our first date 💕',
+    'date.subtext': "You choose — I'll make it happen.",
+    'date.restaurant': 'Where shall we eat? 🍽️',
+    'date.activity': 'What shall we do? ✨',
+    'date.when': 'When? 📅',
+    'date.previousMonth': 'Previous month',
+    'date.nextMonth': 'Next month',
+    'date.times': 'Times on {day}',
+    'date.confirm': "It's a date! 💕",
+    'date.planTitle': 'Our first date',
+    'date.planWhen': '📅 {when}',
+    'date.planRestaurant': '🍽️ {name}',
+    'date.planActivity': '✨ {name}',
+    'date.addToCalendar': 'Add to calendar 📅',
+    'date.eventTitle': 'Our first date 💕',
+    'date.eventRestaurant': 'Dinner: {name}',
+    'date.eventActivity': 'Then: {name}',
+
+    'resume.title': 'Welcome back 💕',
+    'resume.summary': 'Last time you made it to {place}.',
+    'resume.countdown': 'the countdown',
+    'resume.captcha': 'the security check',
+    'resume.captchaRound': 'round {round} of the security check',
+    'resume.quiz': 'question {number} of the quiz',
+    'resume.proposal': 'the big question',
+    'resume.date': 'picking our first date',
+    'resume.congrats': 'the letter',
+    'resume.continue': 'Continue where you left off',
+    'resume.restart': 'Relive it from the start',
+
+    'sound.mute': 'Mute sound',
+    'sound.unmute': 'Unmute sound',
+    'motion.reduce': 'Reduce motion',
+    'motion.allow': 'Allow motion',
+    'motion.system': 'Reduced motion is on in your system settings',
+
+    'configError.label': 'Configuration error',
+    'configError.title': "This page isn't set up yet",
+    'configError.unexpected': 'Something went wrong while setting up the page ({message}).',
+
+    'creator.label': 'Create your own',
+    'creator.title': 'Make your own 💌',
+    'creator.intro': 'Everything stays in your browser — photos are resized here and packed into a link or a single file.',
+    'creator.who': "Who's it for?",
+    'creator.name': 'Their name',
+    'creator.namePlaceholder': 'Marie',
+    'creator.signature': 'Your signature',
+    'creator.signaturePlaceholder': '- Your name',
+    'creator.captcha': 'The CAPTCHA',
+    'creator.captchaPrompt': '"Select all squares containing…"',
+    'creator.captchaPromptDefault': 'the love of your life',
+    'creator.captchaHint': 'Hint after a wrong answer',
+    'creator.captchaHintPlaceholder': 'Hint: Look for the handsome fella',
+    'creator.captchaPhotos': 'Photos — tick <strong>Target</strong> on the ones they should pick',
+    'creator.letter': 'The letter',
+    'creator.letterHelp': 'Leave a blank line between paragraphs. <em> and <strong> work too.',
+    'creator.letterPlaceholder': 'Well done, you are officially my valentine! 😘',
+    'creator.gallery': 'Gallery',
+    'creator.galleryPhotos': 'Photos shown either side of the letter',
+    'creator.lock': 'Lock it (optional)',
+    'creator.lockHelp': "With a passphrase, the letter and gallery are encrypted — nobody can read them from the link or the file until it's typed in. Capitals don't matter.",
+    'creator.lockClue': 'Clue shown above the passphrase box',
+    'creator.lockCluePlaceholder': 'where we had our first kiss',
+    'creator.lockPassphrase': 'Passphrase',
+    'creator.target': 'Target',
+    'creator.caption': 'Caption',
+    'creator.captionFor': 'Caption for {file}',
+    'creator.remove': 'Remove {file}',
+    'creator.makeLink': 'Get a shareable link',
+    'creator.makeBundle': 'Download as one file',
+    'creator.linkLabel': 'Shareable link',
+    'creator.copy': 'Copy',
+    'creator.copied': 'Copied! 💌',
+    'creator.preparing': 'Preparing your photos…',
+    'creator.linkSize': 'Link size: {kb} KB.',
+    'creator.linkTooLong': 'This link is {kb} KB — some apps cut long links short. With this many photos, the downloadable bundle is more reliable.',
+  },
+
+  fr: {
+    'page.title': 'Je t’aime 💟',
+    'page.description': 'J’ai une question importante à te poser...',
+
+    'countdown.label': 'Compte à rebours',
+    'countdown.heading': 'Quelque chose de spécial arrive 💌',
+    'countdown.opensAt': 'Ouverture le {when}',
+    'countdown.days': { one: 'jour', other: 'jours' },
+    'countdown.hours': { one: 'heure', other: 'heures' },
+    'countdown.minutes': { one: 'minute', other: 'minutes' },
+    'countdown.seconds': { one: 'seconde', other: 'secondes' },
+    'countdown.open': 'C’est l’heure ! 💘',
+    'countdown.preview': 'Aperçu — le compte à rebours a été raccourci',
+
+    'captcha.label': 'Vérification CAPTCHA',
+    'captcha.title': 'Prouve que c’est bien toi',
+    'captcha.titleNamed': 'Prouve que tu es bien {name}',
+    'captcha.subtitle': 'Vérification de sécurité requise pour continuer',
+    'captcha.gridLabel': 'Grille de sélection d’images',
+    'captcha.verify': 'Vérifier',
+    'captcha.verifyLabel': 'Vérifier ta sélection',
+    'captcha.privacy': 'Confidentialité',
+    'captcha.terms': 'Conditions',
+    'captcha.round': 'Manche {round} sur {total}',
+    'captcha.candidate': 'Photo candidate {number}',
+    'captcha.selectTargets': 'Sélectionne toutes les cases contenant',
+    'captcha.oddOneOut': 'Sélectionne la photo qui n’a rien à faire là',
+    'captcha.chronological': 'Clique sur les photos dans l’ordre où elles ont été prises',
+    'captcha.splitImage': 'Sélectionne toutes les cases avec',
+    'captcha.passphrase': 'Tape la phrase secrète — ton indice :',
+    'captcha.passphraseLabel': 'Phrase secrète',
+    'captcha.uncheckable': 'Impossible de vérifier cette réponse ici — la page a besoin d’une adresse sécurisée (https) pour déverrouiller la lettre.',
+    'captcha.errors': [
+      'Hmm, ce n’est pas ça. Réessaie',
+      'Euh… allez, quand même',
+      'Bon, là tu me vexes 💔',
+    ],
+
+    'quiz.label': 'Quiz du couple',
+    'quiz.title': 'Tu nous connais bien ?',
+    'quiz.progress': 'Question {number} sur {total}',
+    'quiz.choice': 'Choisis une réponse',
+    'quiz.text': 'Écris ta réponse — pas besoin d’une orthographe parfaite',
+    'quiz.textPlaceholder': 'Ta réponse',
+    'quiz.order': 'Touche-les dans l’ordre où c’est arrivé',
+    'quiz.check': 'Valider',
+    'quiz.errors': [
+      'Pas tout à fait. Réessaie',
+      'Hmm… tu es sûr·e de me connaître ?',
+      'Bon, là je m’inquiète 💔',
+    ],
+    'quiz.correct': ['Bonne réponse ! 🎉', 'Tu me connais si bien 💕', 'Dans le mille ! ✨'],
+    'quiz.notOption': 'Indice : ce n’est pas « {option} »',
+    'quiz.startsWith': 'Indice : ça commence par « {letter} »',
+    'quiz.firstEvent': 'Indice : « {event} » est arrivé en premier',
+    'quiz.score': '🧠 Quiz : {correct} sur {total} du premier coup',
+    'quiz.perfectScore': '🧠 Quiz : un sans-faute, {total} sur {total} !',
+
+    'proposal.label': 'Demande de la Saint-Valentin',
+    'proposal.heading': 'Veux-tu être mon amour pour la Saint-Valentin ?',
+    'proposal.subtext': 'S’il te plaît, s’il te plaît, s’il te plaît, dis oui',
+    'proposal.yes': 'Oui !',
+    'proposal.yesLabel': 'Oui, je le veux',
+    'proposal.no': 'Non...',
+    'proposal.noLabel': 'Non',
+    'proposal.guiltCaptions': [
+      'Vraiment ?',
+      'Vraiment vraiment ??',
+      'Réfléchis bien...',
+      'Dernière chance !',
+      'Tu me brises le cœur 💔',
+      'Allez, s’il te plaît ?',
+    ],
+    'proposal.goneMessage': 'Bon vent...',
+
+    'congrats.label': 'Félicitations',
+    'congrats.heading': 'Félicitations !',
+    'congrats.openMe': 'Ouvre-moi',
+    'congrats.openLetter': 'Ouvrir la lettre d’amour',
+    'congrats.skip': 'Passer ⏩',
+    'congrats.skipLabel': 'Avancer dans la lettre',
+    'congrats.replay': 'Recommencer ? 🔄',
+    'congrats.replayLabel': 'Tout recommencer depuis le début',
+
+    'gallery.leftLabel': 'Photos (gauche) — flèches pour parcourir, Entrée pour agrandir',
+    'gallery.rightLabel': 'Photos (droite) — flèches pour parcourir, Entrée pour agrandir',
+    'gallery.photoAlt': 'Un souvenir à deux',
+
+    'timeline.open': 'Notre histoire 📅',
+    'timeline.title': 'Notre histoire',
+    'timeline.close': 'Fermer la chronologie',
+    'timeline.undated': 'Sans date',
+    'timeline.enlarge': 'Agrandir {photo}',
+    'timeline.photo': 'la photo {number}',
+
+    'lightbox.label': 'Visionneuse de photos',
+    'lightbox.close': 'Fermer la photo',
+    'lightbox.previous': 'Photo précédente',
+    'lightbox.next': 'Photo suivante',
+
+    'keepsake.open': 'Carte souvenir 💌',
+    'keepsake.title': 'Un souvenir',
+    'keepsake.close': 'Fermer la carte souvenir',
+    'keepsake.previewAlt': 'Carte souvenir avec nos photos et la lettre',
+    'keepsake.making': 'Création de ta carte…',
+    'keepsake.failed': 'Désolé, la carte n’a pas pu être créée sur cet appareil.',
+    'keepsake.download': 'Télécharger en PNG ⬇️',
+    'keepsake.share': 'Partager 📤',
+    'keepsake.heading': '{name} a dit oui ! 💘',
+    'keepsake.escapes': {
+      one: '« Non » a tenté de s’enfuir une fois 🏃',
+      other: '« Non » a tenté de s’enfuir {count} fois 🏃',
+    },
+    'keepsake.noEscapes': '« Non » n’avait aucune chance',
+
+    'date.label': 'Choisis notre premier rendez-vous',
+    'date.heading': 'Choisis notre premier rendez-vous 💕',
+    'date.subtext': 'Tu choisis, je m’occupe du reste.',
+    'date.restaurant': 'Où allons-nous manger ? 🍽️',
+    'date.activity': 'Que ferons-nous ? ✨',
+    'date.when': 'Quand ? 📅',
+    'date.previousMonth': 'Mois précédent',
+    'date.nextMonth': 'Mois suivant',
+    'date.times': 'Horaires le {day}',
+    'date.confirm': 'C’est un rendez-vous ! 💕',
+    'date.planTitle': 'Notre premier rendez-vous',
+    'date.addToCalendar': 'Ajouter au calendrier 📅',
+    'date.eventTitle': 'Notre premier rendez-vous 💕',
+    'date.eventRestaurant': 'Dîner : {name}',
+    'date.eventActivity': 'Ensuite : {name}',
+
+    'resume.title': 'Te revoilà 💕',
+    'resume.summary': 'La dernière fois, tu en étais à {place}.',
+    'resume.countdown': 'au compte à rebours',
+    'resume.captcha': 'la vérification de sécurité',
+    'resume.captchaRound': 'la manche {round} de la vérification de sécurité',
+    'resume.quiz': 'la question {number} du quiz',
+    'resume.proposal': 'la grande question',
+    'resume.date': 'au choix de notre premier rendez-vous',
+    'resume.congrats': 'la lettre',
+    'resume.continue': 'Continuer là où tu en étais',
+    'resume.restart': 'Tout revivre depuis le début',
+
+    'sound.mute': 'Couper le son',
+    'sound.unmute': 'Remettre le son',
+    'motion.reduce': 'Réduire les animations',
+    'motion.allow': 'Autoriser les animations',
+    'motion.system': 'Les animations réduites sont activées dans les réglages de ton système',
+
+    'configError.label': 'Erreur de configuration',
+    'configError.title': 'Cette page n’est pas encore prête',
+    'configError.unexpected': 'Un problème est survenu pendant la préparation de la page ({message}).',
+
+    'creator.label': 'Crée la tienne',
+    'creator.title': 'Crée la tienne 💌',
+    'creator.intro': 'Tout reste dans ton navigateur — les photos sont redimensionnées ici puis regroupées dans un lien ou un seul fichier.',
+    'creator.who': 'C’est pour qui ?',
+    'creator.name': 'Son prénom',
+    'creator.signaturePlaceholder': '- Ton prénom',
+    'creator.signature': 'Ta signature',
+    'creator.captcha': 'Le CAPTCHA',
+    'creator.captchaPrompt': '« Sélectionne toutes les cases contenant… »',
+    'creator.captchaPromptDefault': 'l’amour de ta vie',
+    'creator.captchaHint': 'Indice après une mauvaise réponse',
+    'creator.captchaHintPlaceholder': 'Indice : cherche le beau gosse',
+    'creator.captchaPhotos': 'Photos — coche <strong>Cible</strong> sur celles à choisir',
+    'creator.letter': 'La lettre',
+    'creator.letterHelp': 'Laisse une ligne vide entre les paragraphes. <em> et <strong> fonctionnent aussi.',
+    'creator.letterPlaceholder': 'Bravo, te voilà officiellement mon amour de la Saint-Valentin ! 😘',
+    'creator.gallery': 'Galerie',
+    'creator.galleryPhotos': 'Photos affichées de chaque côté de la lettre',
+    'creator.lock': 'Verrouiller (facultatif)',
+    'creator.lockHelp': 'Avec une phrase secrète, la lettre et la galerie sont chiffrées : personne ne peut les lire dans le lien ou le fichier avant qu’elle soit tapée. Les majuscules ne comptent pas.',
+    'creator.lockClue': 'Indice affiché au-dessus de la case de la phrase secrète',
+    'creator.lockCluePlaceholder': 'là où on s’est embrassés pour la première fois',
+    'creator.lockPassphrase': 'Phrase secrète',
+    'creator.target': 'Cible',
+    'creator.caption': 'Légende',
+    'creator.captionFor': 'Légende pour {file}',
+    'creator.remove': 'Retirer {file}',
+    'creator.makeLink': 'Obtenir un lien à partager',
+    'creator.makeBundle': 'Télécharger en un seul fichier',
+    'creator.linkLabel': 'Lien à partager',
+    'creator.copy': 'Copier',
+    'creator.copied': 'Copié ! 💌',
+    'creator.preparing': 'Préparation de tes photos…',
+    'creator.linkSize': 'Taille du lien : {kb} Ko.',
+    'creator.linkTooLong': 'Ce lien fait {kb} Ko — certaines applis coupent les liens trop longs. Avec autant de photos, le fichier à télécharger est plus fiable.',
+  },
+
+  es: {
+    'page.title': 'Te quiero 💟',
+    'page.description': 'Tengo una pregunta importante que hacerte...',
+
+    'countdown.label': 'Cuenta atrás',
+    'countdown.heading': 'Algo especial está en camino 💌',
+    'countdown.opensAt': 'Se abre el {when}',
+    'countdown.days': { one: 'día', other: 'días' },
+    'countdown.hours': { one: 'hora', other: 'horas' },
+    'countdown.minutes': { one: 'minuto', other: 'minutos' },
+    'countdown.seconds': { one: 'segundo', other: 'segundos' },
+    'countdown.open': '¡Ya es la hora! 💘',
+    'countdown.preview': 'Vista previa: la cuenta atrás se ha acortado',
+
+    'captcha.label': 'Verificación CAPTCHA',
+    'captcha.title': 'Verifica que eres tú',
+    'captcha.titleNamed': 'Verifica que eres {name}',
+    'captcha.subtitle': 'Se requiere una comprobación de seguridad para continuar',
+    'captcha.gridLabel': 'Cuadrícula de selección de imágenes',
+    'captcha.verify': 'Verificar',
+    'captcha.verifyLabel': 'Verificar tu selección',
+    'captcha.privacy': 'Privacidad',
+    'captcha.terms': 'Términos',
+    'captcha.round': 'Ronda {round} de {total}',
+    'captcha.candidate': 'Foto candidata {number}',
+    'captcha.selectTargets': 'Selecciona todas las casillas que contengan',
+    'captcha.oddOneOut': 'Selecciona la foto que no encaja',
+    'captcha.chronological': 'Haz clic en las fotos en el orden en que se tomaron',
+    'captcha.splitImage': 'Selecciona todas las casillas con',
+    'captcha.passphrase': 'Escribe la contraseña — tu pista:',
+    'captcha.passphraseLabel': 'Contraseña',
+    'captcha.uncheckable': 'No se puede comprobar esta respuesta aquí: la página necesita una dirección segura (https) para abrir la carta.',
+    'captcha.errors': [
+      'Mmm, eso no es. Inténtalo de nuevo',
+      'Venga ya...',
+      'Vale, ahora sí me has ofendido 💔',
+    ],
+
+    'quiz.label': 'Test de pareja',
+    'quiz.title': '¿Cuánto nos conoces?',
+    'quiz.progress': 'Pregunta {number} de {total}',
+    'quiz.choice': 'Elige una',
+    'quiz.text': 'Escribe tu respuesta — no hace falta una ortografía perfecta',
+    'quiz.textPlaceholder': 'Tu respuesta',
+    'quiz.order': 'Tócalos en el orden en que pasaron',
+    'quiz.check': 'Comprobar',
+    'quiz.errors': [
+      'No exactamente. Inténtalo de nuevo',
+      'Mmm… ¿seguro que me conoces?',
+      'Vale, ahora me preocupas 💔',
+    ],
+    'quiz.correct': ['¡Correcto! 🎉', 'Me conoces muy bien 💕', '¡Exacto! ✨'],
+    'quiz.notOption': 'Pista: no es «{option}»',
+    'quiz.startsWith': 'Pista: empieza por «{letter}»',
+    'quiz.firstEvent': 'Pista: «{event}» fue lo primero',
+    'quiz.score': '🧠 Test: {correct} de {total} a la primera',
+    'quiz.perfectScore': '🧠 Test: ¡{total} de {total}, perfecto!',
+
+    'proposal.label': 'Propuesta de San Valentín',
+    'proposal.heading': '¿Quieres ser mi San Valentín?',
+    'proposal.subtext': 'Por favor, por favor, por favor, di que sí',
+    'proposal.yes': '¡Sí!',
+    'proposal.yesLabel': 'Sí, quiero ser tu San Valentín',
+    'proposal.no': 'No...',
+    'proposal.noLabel': 'No',
+    'proposal.guiltCaptions': [
+      '¿Lo dices en serio?',
+      '¿¿De verdad de la buena??',
+      'Piénsalo otra vez...',
+      '¡Última oportunidad!',
+      'Me estás rompiendo el corazón 💔',
+      '¿Porfa?',
+    ],
+    'proposal.goneMessage': 'Pues nada...',
+
+    'congrats.label': 'Enhorabuena',
+    'congrats.heading': '¡Enhorabuena!',
+    'congrats.openMe': 'Ábreme',
+    'congrats.openLetter': 'Abrir la carta de amor',
+    'congrats.skip': 'Saltar ⏩',
+    'congrats.skipLabel': 'Avanzar en la carta',
+    'congrats.replay': '¿Empezar de nuevo? 🔄',
+    'congrats.replayLabel': 'Volver a empezar desde el principio',
+
+    'gallery.leftLabel': 'Fotos (izquierda) — flechas para navegar, Intro para ampliar',
+    'gallery.rightLabel': 'Fotos (derecha) — flechas para navegar, Intro para ampliar',
+    'gallery.photoAlt': 'Un recuerdo juntos',
+
+    'timeline.open': 'Nuestra historia 📅',
+    'timeline.title': 'Nuestra historia',
+    'timeline.close': 'Cerrar la cronología',
+    'timeline.undated': 'Sin fecha',
+    'timeline.enlarge': 'Ampliar {photo}',
+    'timeline.photo': 'la foto {number}',
+
+    'lightbox.label': 'Visor de fotos',
+    'lightbox.close': 'Cerrar la foto',
+    'lightbox.previous': 'Foto anterior',
+    'lightbox.next': 'Foto siguiente',
+
+    'keepsake.open': 'Tarjeta de recuerdo 💌',
+    'keepsake.title': 'Un recuerdo',
+    'keepsake.close': 'Cerrar la tarjeta de recuerdo',
+    'keepsake.previewAlt': 'Tarjeta de recuerdo con nuestras fotos y la carta',
+    'keepsake.making': 'Creando tu tarjeta…',
+    'keepsake.failed': 'Lo siento, no se pudo crear la tarjeta en este dispositivo.',
+    'keepsake.download': 'Descargar PNG ⬇️',
+    'keepsake.share': 'Compartir 📤',
+    'keepsake.heading': '¡{name} dijo que sí! 💘',
+    'keepsake.escapes': {
+      one: '«No» intentó escaparse una vez 🏃',
+      other: '«No» intentó escaparse {count} veces 🏃',
+    },
+    'keepsake.noEscapes': '«No» nunca tuvo ninguna oportunidad',
+
+    'date.label': 'Elige nuestra primera cita',
+    'date.heading': 'Elige nuestra primera cita 💕',
+    'date.subtext': 'Tú eliges, yo me encargo del resto.',
+    'date.restaurant': '¿Dónde cenamos? 🍽️',
+    'date.activity': '¿Qué hacemos? ✨',
+    'date.when': '¿Cuándo? 📅',
+    'date.previousMonth': 'Mes anterior',
+    'date.nextMonth': 'Mes siguiente',
+    'date.times': 'Horas del {day}',
+    'date.confirm': '¡Es una cita! 💕',
+    'date.planTitle': 'Nuestra primera cita',
+    'date.addToCalendar': 'Añadir al calendario 📅',
+    'date.eventTitle': 'Nuestra primera cita 💕',
+    'date.eventRestaurant': 'Cena: {name}',
+    'date.eventActivity': 'Después: {name}',
+
+    'resume.title': '¡Hola de nuevo! 💕',
+    'resume.summary': 'La última vez llegaste a {place}.',
+    'resume.countdown': 'la cuenta atrás',
+    'resume.captcha': 'la comprobación de seguridad',
+    'resume.captchaRound': 'la ronda {round} de la comprobación de seguridad',
+    'resume.quiz': 'la pregunta {number} del test',
+    'resume.proposal': 'la gran pregunta',
+    'resume.date': 'elegir nuestra primera cita',
+    'resume.congrats': 'la carta',
+    'resume.continue': 'Seguir donde lo dejaste',
+    'resume.restart': 'Revivirlo desde el principio',
+
+    'sound.mute': 'Silenciar',
+    'sound.unmute': 'Activar el sonido',
+    'motion.reduce': 'Reducir el movimiento',
+    'motion.allow': 'Permitir el movimiento',
+    'motion.system': 'El movimiento reducido está activado en los ajustes de tu sistema',
+
+    'configError.label': 'Error de configuración',
+    'configError.title': 'Esta página aún no está lista',
+    'configError.unexpected': 'Algo salió mal al preparar la página ({message}).',
+
+    'creator.label': 'Crea la tuya',
+    'creator.title': 'Crea la tuya 💌',
+    'creator.intro': 'Todo se queda en tu navegador: las fotos se redimensionan aquí y se guardan en un enlace o en un único archivo.',
+    'creator.who': '¿Para quién es?',
+    'creator.name': 'Su nombre',
+    'creator.namePlaceholder': 'María',
+    'creator.signature': 'Tu firma',
+    'creator.signaturePlaceholder': '- Tu nombre',
+    'creator.captcha': 'El CAPTCHA',
+    'creator.captchaPrompt': '«Selecciona todas las casillas que contengan…»',
+    'creator.captchaPromptDefault': 'al amor de tu vida',
+    'creator.captchaHint': 'Pista tras una respuesta incorrecta',
+    'creator.captchaHintPlaceholder': 'Pista: busca al guapo',
+    'creator.captchaPhotos': 'Fotos — marca <strong>Objetivo</strong> en las que debe elegir',
+    'creator.letter': 'La carta',
+    'creator.letterHelp': 'Deja una línea en blanco entre párrafos. <em> y <strong> también funcionan.',
+    'creator.letterPlaceholder': '¡Enhorabuena, ya eres oficialmente mi San Valentín! 😘',
+    'creator.gallery': 'Galería',
+    'creator.galleryPhotos': 'Fotos que se muestran a cada lado de la carta',
+    'creator.lock': 'Ciérralo con llave (opcional)',
+    'creator.lockHelp': 'Con una contraseña, la carta y la galería se cifran: nadie puede leerlas en el enlace ni en el archivo hasta que se escriba. Las mayúsculas dan igual.',
+    'creator.lockClue': 'Pista que se muestra encima de la contraseña',
+    'creator.lockCluePlaceholder': 'donde nos dimos el primer beso',
+    'creator.lockPassphrase': 'Contraseña',
+    'creator.target': 'Objetivo',
+    'creator.caption': 'Pie de foto',
+    'creator.captionFor': 'Pie de foto para {file}',
+    'creator.remove': 'Quitar {file}',
+    'creator.makeLink': 'Obtener un enlace para compartir',
+    'creator.makeBundle': 'Descargar como un solo archivo',
+    'creator.linkLabel': 'Enlace para compartir',
+    'creator.copy': 'Copiar',
+    'creator.copied': '¡Copiado! 💌',
+    'creator.preparing': 'Preparando tus fotos…',
+    'creator.linkSize': 'Tamaño del enlace: {kb} KB.',
+    'creator.linkTooLong': 'Este enlace ocupa {kb} KB y algunas apps cortan los enlaces largos. Con tantas fotos, el archivo descargable es más fiable.',
+  },
+
+  // Uses the grammatically generic (masculine) forms for "you"; a config
+  // can override any line through `messages`
+  ar: {
+    'page.title': 'أحبك 💟',
+    'page.description': 'لدي سؤال مهم أريد أن أسألك إياه...',
+
+    'countdown.label': 'العد التنازلي',
+    'countdown.heading': 'شيء مميز في الطريق إليك 💌',
+    'countdown.opensAt': 'يُفتح {when}',
+    'countdown.days': { one: 'يوم', two: 'يومان', few: 'أيام', other: 'يوم' },
+    'countdown.hours': { one: 'ساعة', two: 'ساعتان', few: 'ساعات', other: 'ساعة' },
+    'countdown.minutes': { one: 'دقيقة', two: 'دقيقتان', few: 'دقائق', other: 'دقيقة' },
+    'countdown.seconds': { one: 'ثانية', two: 'ثانيتان', few: 'ثوانٍ', other: 'ثانية' },
+    'countdown.open': 'حان الوقت! 💘',
+    'countdown.preview': 'معاينة — تم تقصير العد التنازلي',
+
+    'captcha.label': 'التحقق CAPTCHA',
+    'captcha.title': 'يرجى التحقق من أنك أنت',
+    'captcha.titleNamed': 'يرجى التحقق من أنك {name}',
+    'captcha.subtitle': 'مطلوب فحص أمني للمتابعة',
+    'captcha.gridLabel': 'شبكة اختيار الصور',
+    'captcha.verify': 'تحقق',
+    'captcha.verifyLabel': 'تحقق من اختياراتك',
+    'captcha.privacy': 'الخصوصية',
+    'captcha.terms': 'الشروط',
+    'captcha.round': 'الجولة {round} من {total}',
+    'captcha.candidate': 'الصورة المرشحة {number}',
+    'captcha.selectTargets': 'اختر كل المربعات التي تحتوي على',
+    'captcha.oddOneOut': 'اختر الصورة الوحيدة التي لا تنتمي إلى البقية',
+    'captcha.chronological': 'انقر على الصور بترتيب التقاطها',
+    'captcha.splitImage': 'اختر كل المربعات التي فيها',
+    'captcha.passphrase': 'اكتب كلمة السر — تلميحك:',
+    'captcha.passphraseLabel': 'كلمة السر',
+    'captcha.uncheckable': 'لا يمكن التحقق من هذه الإجابة هنا — تحتاج الصفحة إلى عنوان آمن (https) لفتح الرسالة.',
+    'captcha.errors': [
+      'همم، هذا غير صحيح. حاول مرة أخرى',
+      'أممم... هيا الآن',
+      'حسنًا، الآن أنا منزعج 💔',
+    ],
+
+    'quiz.label': 'اختبار العلاقة',
+    'quiz.title': 'إلى أي حد تعرفنا؟',
+    'quiz.progress': 'السؤال {number} من {total}',
+    'quiz.choice': 'اختر إجابة واحدة',
+    'quiz.text': 'اكتب إجابتك — لا بأس ببعض الأخطاء الإملائية',
+    'quiz.textPlaceholder': 'إجابتك',
+    'quiz.order': 'اضغط عليها بترتيب حدوثها',
+    'quiz.check': 'تحقّق',
+    'quiz.errors': [
+      'ليس تمامًا. حاول مجددًا',
+      'همم… هل أنت متأكد أنك تعرفني؟',
+      'حسنًا، بدأت أقلق 💔',
+    ],
+    'quiz.correct': ['صحيح! 🎉', 'أنت تعرفني جيدًا 💕', 'إجابة في الصميم! ✨'],
+    'quiz.notOption': 'تلميح: ليست «{option}»',
+    'quiz.startsWith': 'تلميح: تبدأ بـ«{letter}»',
+    'quiz.firstEvent': 'تلميح: «{event}» حدث أولًا',
+    'quiz.score': '🧠 الاختبار: {correct} من {total} من المحاولة الأولى',
+    'quiz.perfectScore': '🧠 الاختبار: علامة كاملة، {total} من {total}!',
+
+    'proposal.label': 'عرض عيد الحب',
+    'proposal.heading': 'هل تقبل أن تكون حبي في عيد الحب؟',
+    'proposal.subtext': 'أرجوك أرجوك أرجوك قل نعم',
+    'proposal.yes': 'نعم!',
+    'proposal.yesLabel': 'نعم، أقبل',
+    'proposal.no': 'لا...',
+    'proposal.noLabel': 'لا',
+    'proposal.guiltCaptions': [
+      'هل أنت متأكد؟',
+      'متأكد حقًا؟؟',
+      'فكّر مرة أخرى...',
+      'الفرصة الأخيرة!',
+      'أنت تكسر قلبي 💔',
+      'أرجوك؟',
+    ],
+    'proposal.goneMessage': 'مع السلامة...',
+
+    'congrats.label': 'تهانينا',
+    'congrats.heading': 'تهانينا!',
+    'congrats.openMe': 'افتحني',
+    'congrats.openLetter': 'افتح رسالة الحب',
+    'congrats.skip': 'تخطَّ ⏪',
+    'congrats.skipLabel': 'تقدّم في الرسالة',
+    'congrats.replay': 'البدء من جديد؟ 🔄',
+    'congrats.replayLabel': 'أعد التجربة من البداية',
+
+    // The galleries swap sides in a right-to-left layout
+    'gallery.leftLabel': 'الصور (يمين) — استخدم الأسهم للتصفح وEnter للتكبير',
+    'gallery.rightLabel': 'الصور (يسار) — استخدم الأسهم للتصفح وEnter للتكبير',
+    'gallery.photoAlt': 'ذكرى لنا معًا',
+
+    'timeline.open': 'قصتنا 📅',
+    'timeline.title': 'قصتنا',
+    'timeline.close': 'إغلاق الخط الزمني',
+    'timeline.undated': 'بدون تاريخ',
+    'timeline.enlarge': 'تكبير {photo}',
+    'timeline.photo': 'الصورة {number}',
+
+    'lightbox.label': 'عارض الصور',
+    'lightbox.close': 'إغلاق الصورة',
+    'lightbox.previous': 'الصورة السابقة',
+    'lightbox.next': 'الصورة التالية',
+
+    'keepsake.open': 'بطاقة تذكارية 💌',
+    'keepsake.title': 'تذكار',
+    'keepsake.close': 'إغلاق البطاقة التذكارية',
+    'keepsake.previewAlt': 'بطاقة تذكارية فيها صورنا والرسالة',
+    'keepsake.making': 'جارٍ إنشاء بطاقتك…',
+    'keepsake.failed': 'عذرًا، تعذّر إنشاء البطاقة على هذا الجهاز.',
+    'keepsake.download': 'تنزيل PNG ⬇️',
+    'keepsake.share': 'مشاركة 📤',
+    'keepsake.heading': '{name} — الجواب نعم! 💘',
+    'keepsake.escapes': {
+      one: 'حاول «لا» الهرب مرة واحدة 🏃',
+      two: 'حاول «لا» الهرب مرتين 🏃',
+      few: 'حاول «لا» الهرب {count} مرات 🏃',
+      other: 'حاول «لا» الهرب {count} مرة 🏃',
+    },
+    'keepsake.noEscapes': 'لم تكن لـ«لا» أي فرصة',
+
+    'date.label': 'اختر موعدنا الأول',
+    'date.heading': 'اختر موعدنا الأول 💕',
+    'date.subtext': 'أنت تختار، وأنا أتكفّل بالباقي.',
+    'date.restaurant': 'أين سنتناول الطعام؟ 🍽️',
+    'date.activity': 'ماذا سنفعل؟ ✨',
+    'date.when': 'متى؟ 📅',
+    'date.previousMonth': 'الشهر السابق',
+    'date.nextMonth': 'الشهر التالي',
+    'date.times': 'المواعيد يوم {day}',
+    'date.confirm': 'اتفقنا على الموعد! 💕',
+    'date.planTitle': 'موعدنا الأول',
+    'date.addToCalendar': 'أضف إلى التقويم 📅',
+    'date.eventTitle': 'موعدنا الأول 💕',
+    'date.eventRestaurant': 'العشاء: {name}',
+    'date.eventActivity': 'ثم: {name}',
+
+    'resume.title': 'أهلًا بعودتك 💕',
+    'resume.summary': 'في المرة الماضية وصلت إلى {place}.',
+    'resume.countdown': 'العد التنازلي',
+    'resume.captcha': 'الفحص الأمني',
+    'resume.captchaRound': 'الجولة {round} من الفحص الأمني',
+    'resume.quiz': 'السؤال {number} من الاختبار',
+    'resume.proposal': 'السؤال الكبير',
+    'resume.date': 'اختيار موعدنا الأول',
+    'resume.congrats': 'الرسالة',
+    'resume.continue': 'تابع من حيث توقفت',
+    'resume.restart': 'عِش التجربة من البداية',
+
+    'sound.mute': 'كتم الصوت',
+    'sound.unmute': 'تشغيل الصوت',
+    'motion.reduce': 'تقليل الحركة',
+    'motion.allow': 'السماح بالحركة',
+    'motion.system': 'تقليل الحركة مفعّل في إعدادات نظامك',
+
+    'configError.label': 'خطأ في الإعداد',
+    'configError.title': 'هذه الصفحة غير جاهزة بعد',
+    'configError.unexpected': 'حدث خطأ أثناء إعداد الصفحة ({message}).',
+
+    'creator.label': 'اصنع نسختك',
+    'creator.title': 'اصنع نسختك 💌',
+    'creator.intro': 'يبقى كل شيء في متصفحك — يُعاد تحجيم الصور هنا وتُجمع في رابط أو ملف واحد.',
+    'creator.who': 'لمن هذه؟',
+    'creator.name': 'الاسم',
+    'creator.namePlaceholder': 'مريم',
+    'creator.signature': 'توقيعك',
+    'creator.signaturePlaceholder': '- اسمك',
+    'creator.captcha': 'اختبار CAPTCHA',
+    'creator.captchaPrompt': '«اختر كل المربعات التي تحتوي على…»',
+    'creator.captchaPromptDefault': 'حب حياتك',
+    'creator.captchaHint': 'تلميح بعد الإجابة الخاطئة',
+    'creator.captchaHintPlaceholder': 'تلميح: ابحث عن الوسيم',
+    'creator.captchaPhotos': 'الصور — ضع علامة <strong>هدف</strong> على الصور التي يجب اختيارها',
+    'creator.letter': 'الرسالة',
+    'creator.letterHelp': 'اترك سطرًا فارغًا بين الفقرات. يمكنك أيضًا استخدام <em> و<strong>.',
+    'creator.letterPlaceholder': 'أحسنت، أصبحت رسميًا حبي في عيد الحب! 😘',
+    'creator.gallery': 'المعرض',
+    'creator.galleryPhotos': 'الصور المعروضة على جانبي الرسالة',
+    'creator.lock': 'القفل (اختياري)',
+    'creator.lockHelp': 'مع كلمة سر، تُشفَّر الرسالة والمعرض — لا يمكن لأحد قراءتهما من الرابط أو الملف حتى تُكتب. لا فرق بين الأحرف الكبيرة والصغيرة.',
+    'creator.lockClue': 'تلميح يظهر فوق خانة كلمة السر',
+    'creator.lockCluePlaceholder': 'المكان الذي تبادلنا فيه أول قبلة',
+    'creator.lockPassphrase': 'كلمة السر',
+    'creator.target': 'هدف',
+    'creator.caption': 'تعليق',
+    'creator.captionFor': 'تعليق على {file}',
+    'creator.remove': 'إزالة {file}',
+    'creator.makeLink': 'احصل على رابط للمشاركة',
+    'creator.makeBundle': 'نزّلها كملف واحد',
+    'creator.linkLabel': 'رابط المشاركة',
+    'creator.copy': 'نسخ',
+    'creator.copied': 'تم النسخ! 💌',
+    'creator.preparing': 'جارٍ تجهيز صورك…',
+    'creator.linkSize': 'حجم الرابط: {kb} كيلوبايت.',
+    'creator.linkTooLong': 'حجم هذا الرابط {kb} كيلوبايت — بعض التطبيقات تقطع الروابط الطويلة. مع هذا العدد من الصور، الملف القابل للتنزيل أكثر موثوقية.',
+  },
+};
+
+// Languages written right to left (by primary language subtag)
+const RTL_LANGUAGES = new Set(['ar', 'fa', 'he', 'ur', 'yi']);
+
+// Attributes markup can translate with `data-i18n-<attribute>`
+const I18N_ATTRIBUTES = ['aria-label', 'placeholder', 'alt', 'title', 'content', 'value'];
+
+let activeLocale = 'en';
+let activeMessages = Messages.en;
+let activePluralRules = new Intl.PluralRules('en');
+const dateFormats = new Map();
 
-  function spawnHeart() {
-    const heart = document.createElement('span');
-    heart.classList.add('floating-heart');
-    heart.textContent = HEART_EMOJIS[Math.floor(Math.random() * HEART_EMOJIS.length)];
+/**
+ * The bundle for a language tag: an exact match (`pt-br`), then its
+ * language (`pt`), or null.
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function bundleFor(tag) {
+  const lower = tag.toLowerCase();
+  if (Messages[lower]) return lower;
+  const language = lower.split('-')[0];
+  return Messages[language] ? language : null;
+}
 
-    // Random horizontal position
-    heart.style.left = Math.random() * 100 + '%';
+/**
+ * Switch the UI language: the config's `locale` when given, otherwise the
+ * first of the browser's languages that has a bundle, otherwise English.
+ * Sets `lang` and `dir` on the page and re-translates the markup.
+ * @param {string} [requested] - A language tag, e.g. `fr` or `pt-BR`
+ * @param {Object} [overrides] - Individual messages replacing the bundle's
+ */
+function setLocale(requested, overrides = {}) {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const tag = requested || preferred.find((candidate) => candidate && bundleFor(candidate)) || 'en';
+
+  activeLocale = tag;
+  const bundle = bundleFor(tag);
+  activeMessages = {
+    ...Messages.en,
+    ...Messages[bundle],
+    ...activeTheme.messages.en,
+    ...activeTheme.messages[bundle],
+    ...overrides,
+  };
+  activePluralRules = new Intl.PluralRules(tag);
 
-    // Random animation duration (6–14 seconds)
-    const duration = 6 + Math.random() * 8;
-    heart.style.animationDuration = duration + 's';
+  document.documentElement.lang = tag;
+  document.documentElement.dir = RTL_LANGUAGES.has(tag.toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
+  translatePage();
+}
 
-    // Random delay
-    heart.style.animationDelay = Math.random() * 2 + 's';
+/**
+ * Look up a message in the active language and fill in its placeholders.
+ * Numbers are formatted for the locale; `count` also picks plural forms.
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string|string[]} The text (or, for list messages, the list)
+ */
+function t(key, params = {}) {
+  let message = activeMessages[key];
+  if (message === undefined) return key;
+  if (Array.isArray(message)) return message;
+  if (typeof message === 'object') {
+    message = message[activePluralRules.select(params.count)] ?? message.other;
+  }
 
-    // Random size
-    const size = 0.8 + Math.random() * 1.5;
-    heart.style.fontSize = size + 'rem';
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? value.toLocaleString(activeLocale) : String(value);
+  });
+}
 
-    heartsContainer.appendChild(heart);
+/**
+ * Translate every element in the markup that names a message.
+ * @param {ParentNode} [root]
+ */
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+  root.querySelectorAll('[data-i18n-rich]').forEach((el) => {
+    el.textContent = '';
+    appendRichText(el, t(el.getAttribute('data-i18n-rich')));
+  });
+  I18N_ATTRIBUTES.forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
 
-    // Remove after animation completes
-    setTimeout(() => heart.remove(), (duration + 2) * 1000);
+/**
+ * Show a message in an element (or one of its attributes) and record which
+ * one, so a later change of language re-translates it. `null` clears it.
+ * @param {HTMLElement} el
+ * @param {string|null} key
+ * @param {string} [attribute]
+ */
+function localise(el, key, attribute) {
+  const marker = attribute ? `data-i18n-${attribute}` : 'data-i18n';
+  if (key === null) {
+    el.removeAttribute(marker);
+    if (attribute) el.removeAttribute(attribute);
+    else el.textContent = '';
+    return;
   }
 
-  // Spawn hearts periodically
-  heartInterval = setInterval(spawnHeart, 400);
+  el.setAttribute(marker, key);
+  if (attribute) el.setAttribute(attribute, t(key));
+  else el.textContent = t(key);
+}
 
-  // Spawn a few immediately
-  for (let i = 0; i < 8; i++) {
-    setTimeout(spawnHeart, i * 200);
-  }
+/**
+ * A date written out for the active locale.
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} options
+ * @returns {string}
+ */
+function formatDate(date, options) {
+  const id = `${activeLocale} ${JSON.stringify(options)}`;
+  if (!dateFormats.has(id)) dateFormats.set(id, new Intl.DateTimeFormat(activeLocale, options));
+  return dateFormats.get(id).format(date);
 }
 
 /**
- * Stop spawning floating hearts and clear existing ones.
+ * Turn a left/right step into a forward/back one: in a right-to-left
+ * layout "next" is to the left.
+ * @param {number} step - +1 for the right arrow (or a leftward swipe)
+ * @returns {number}
  */
-function stopFloatingHearts() {
-  if (heartInterval) {
-    clearInterval(heartInterval);
-    heartInterval = null;
-  }
+function inlineStep(step) {
+  return document.documentElement.dir === 'rtl' ? -step : step;
 }
 
-// ── No Button Evasion (Option A: Mouse Evasion) ──────────────
+// ================================================================
+//  THEMES — Palettes, particles, envelope artwork and copy per occasion
+// ================================================================
 
-let noEvadeAttempts = 0;
-const MAX_EVADE_BEFORE_GONE = 8; // After this many evasions, button disappears
-let noButtonGone = false;
+/**
+ * Everything that ties the experience to one occasion. The config picks a
+ * theme by name, or describes its own (optionally `extends`-ing one of these).
+ *
+ *   colors   — design tokens from styles.css, without the leading `--`
+ *   hearts   — emojis floating up behind the proposal (and the countdown)
+ *   confetti — `colors` and `emoji` for the celebration burst
+ *   symbol   — stands in for photos on the keepsake card when there are none
+ *   seal     — SVG path for the envelope's wax seal (200 × 145 viewBox)
+ *   messages — copy replacing the language bundles, by language
+ */
+const Themes = {
+  valentine: {
+    colors: {
+      'romantic-red': '#E63946',
+      'soft-pink': '#FFD6E8',
+      'warm-accent': '#FF6B9D',
+      'blush': '#FFB3BA',
+      'deep-rose': '#C2185B',
+      'light-bg': '#FFF5F7',
+      'night-1': '#1a0a14',
+      'night-2': '#2d0f1f',
+      'night-3': '#4a1133',
+      'night-4': '#3d0d29',
+      'envelope-body': '#f8bbd0',
+      'envelope-flap': '#f48fb1',
+      'envelope-ink': '#5d1a2e',
+      'envelope-seal': '#e63946',
+    },
+    hearts: ['💗', '💕', '💖', '❤️', '💘', '💝', '🩷', '♥️'],
+    confetti: {
+      colors: [
+        '#E63946', '#FF6B9D', '#FFB3BA', '#FFD6E8',
+        '#FF4757', '#FF6348', '#FFA07A', '#FFFFFF',
+        '#C2185B', '#F50057', '#FF80AB', '#FFCDD2',
+      ],
+      emoji: ['💖', '💕', '💘', '🌹', '✨'],
+    },
+    symbol: '💞',
+    seal: 'M100,80 C100,80 83,60 83,51 C83,42 91,39 100,49 C109,39 117,42 117,51 C117,60 100,80 100,80 Z',
+    messages: {},
+  },
+
+  anniversary: {
+    colors: {
+      'romantic-red': '#9E2A4F',
+      'soft-pink': '#F6E7D8',
+      'warm-accent': '#D4A24C',
+      'blush': '#EBC9A6',
+      'deep-rose': '#6D1F3A',
+      'light-bg': '#FDF8F2',
+      'night-1': '#140c10',
+      'night-2': '#26141c',
+      'night-3': '#3b1d2a',
+      'night-4': '#2e1520',
+      'envelope-body': '#F3E3C7',
+      'envelope-flap': '#E6CC9C',
+      'envelope-ink': '#4A2A1A',
+      'envelope-seal': '#9E2A4F',
+    },
+    hearts: ['💞', '🥂', '🌹', '💛', '✨', '💑', '🕯️', '💐'],
+    confetti: {
+      colors: [
+        '#D4A24C', '#EBC9A6', '#F6E7D8', '#FFFFFF',
+        '#9E2A4F', '#C9A227', '#E8D5B5', '#B76E79',
+      ],
+      emoji: ['💞', '🥂', '🌹', '✨', '💛'],
+    },
+    symbol: '🥂',
+    // Two linked rings
+    seal: 'M80,62 a12,12 0 1,0 24,0 a12,12 0 1,0 -24,0 Z M84,62 a8,8 0 1,0 16,0 a8,8 0 1,0 -16,0 Z ' +
+      'M96,62 a12,12 0 1,0 24,0 a12,12 0 1,0 -24,0 Z M100,62 a8,8 0 1,0 16,0 a8,8 0 1,0 -16,0 Z',
+    messages: {
+      en: {
+        'page.title': 'Happy anniversary 💞',
+        'proposal.label': 'Anniversary question',
+        'proposal.heading': 'Will you spend another year with me?',
+        'proposal.yesLabel': 'Yes, another year together',
+        'congrats.heading': 'Happy anniversary!',
+        'congrats.openLetter': 'Open your anniversary letter',
+        'keepsake.heading': '{name} said yes again! 💞',
+      },
+      fr: {
+        'page.title': 'Joyeux anniversaire de couple 💞',
+        'proposal.label': 'Question d’anniversaire',
+        'proposal.heading': 'Veux-tu passer encore une année avec moi ?',
+        'proposal.yesLabel': 'Oui, encore une année ensemble',
+        'congrats.heading': 'Joyeux anniversaire de couple !',
+        'congrats.openLetter': 'Ouvrir ta lettre d’anniversaire',
+        'keepsake.heading': '{name} a encore dit oui ! 💞',
+      },
+      es: {
+        'page.title': 'Feliz aniversario 💞',
+        'proposal.label': 'Pregunta de aniversario',
+        'proposal.heading': '¿Pasarás otro año conmigo?',
+        'proposal.yesLabel': 'Sí, otro año juntos',
+        'congrats.heading': '¡Feliz aniversario!',
+        'congrats.openLetter': 'Abrir tu carta de aniversario',
+        'keepsake.heading': '¡{name} volvió a decir que sí! 💞',
+      },
+      ar: {
+        'page.title': 'ذكرى سعيدة 💞',
+        'proposal.label': 'سؤال الذكرى السنوية',
+        'proposal.heading': 'هل تقضي عامًا آخر معي؟',
+        'proposal.yesLabel': 'نعم، عامًا آخر معًا',
+        'congrats.heading': 'ذكرى سعيدة!',
+        'congrats.openLetter': 'افتح رسالة الذكرى',
+        'keepsake.heading': '{name} — الجواب نعم مرة أخرى! 💞',
+      },
+    },
+  },
+
+  birthday: {
+    colors: {
+      'romantic-red': '#FF5E5B',
+      'soft-pink': '#FFF1C1',
+      'warm-accent': '#3EC1D3',
+      'blush': '#FFD166',
+      'deep-rose': '#7B2CBF',
+      'light-bg': '#FFFBEA',
+      'night-1': '#0d0b1f',
+      'night-2': '#1a1440',
+      'night-3': '#2a1d5c',
+      'night-4': '#201848',
+      'envelope-body': '#BDE8F0',
+      'envelope-flap': '#8ED6E3',
+      'envelope-ink': '#1D3557',
+      'envelope-seal': '#FFD166',
+    },
+    hearts: ['🎈', '🎉', '🎂', '🎁', '✨', '🥳', '🍰', '🎊'],
+    confetti: {
+      colors: [
+        '#FF5E5B', '#FFD166', '#3EC1D3', '#7B2CBF',
+        '#06D6A0', '#FF9F1C', '#FFFFFF', '#F15BB5',
+      ],
+      emoji: ['🎈', '🎉', '🎂', '🎁', '✨'],
+    },
+    symbol: '🎂',
+    // A star
+    seal: 'M100,40 L105.3,53.7 L120,54.5 L108.6,63.8 L112.3,78 L100,70 L87.7,78 L91.4,63.8 L80,54.5 L94.7,53.7 Z',
+    messages: {
+      en: {
+        'page.title': 'Happy birthday 🎂',
+        'proposal.label': 'Birthday surprise',
+        'proposal.heading': 'Ready for your birthday surprise?',
+        'proposal.yesLabel': 'Yes, show me the surprise',
+        'congrats.heading': 'Happy birthday!',
+        'congrats.openLetter': 'Open your birthday card',
+        'keepsake.heading': 'Happy birthday, {name}! 🎂',
+      },
+      fr: {
+        'page.title': 'Joyeux anniversaire 🎂',
+        'proposal.label': 'Surprise d’anniversaire',
+        'proposal.heading': 'Prêt·e pour ta surprise d’anniversaire ?',
+        'proposal.yesLabel': 'Oui, montre-moi la surprise',
+        'congrats.heading': 'Joyeux anniversaire !',
+        'congrats.openLetter': 'Ouvrir ta carte d’anniversaire',
+        'keepsake.heading': 'Joyeux anniversaire, {name} ! 🎂',
+      },
+      es: {
+        'page.title': 'Feliz cumpleaños 🎂',
+        'proposal.label': 'Sorpresa de cumpleaños',
+        'proposal.heading': '¿Lista para tu sorpresa de cumpleaños?',
+        'proposal.yesLabel': 'Sí, enséñame la sorpresa',
+        'congrats.heading': '¡Feliz cumpleaños!',
+        'congrats.openLetter': 'Abrir tu tarjeta de cumpleaños',
+        'keepsake.heading': '¡Feliz cumpleaños, {name}! 🎂',
+      },
+      ar: {
+        'page.title': 'عيد ميلاد سعيد 🎂',
+        'proposal.label': 'مفاجأة عيد الميلاد',
+        'proposal.heading': 'هل أنت مستعد لمفاجأة عيد ميلادك؟',
+        'proposal.yesLabel': 'نعم، أرني المفاجأة',
+        'congrats.heading': 'عيد ميلاد سعيد!',
+        'congrats.openLetter': 'افتح بطاقة عيد الميلاد',
+        'keepsake.heading': 'عيد ميلاد سعيد يا {name}! 🎂',
+      },
+    },
+  },
+
+  proposal: {
+    colors: {
+      'romantic-red': '#C9667A',
+      'soft-pink': '#F4E1E6',
+      'warm-accent': '#E8B4C0',
+      'blush': '#F2D0D9',
+      'deep-rose': '#7A3A4D',
+      'light-bg': '#FBF7F8',
+      'night-1': '#0b0d17',
+      'night-2': '#151a2e',
+      'night-3': '#232a45',
+      'night-4': '#1a1f36',
+      'envelope-body': '#FAF7F2',
+      'envelope-flap': '#EDE6DA',
+      'envelope-ink': '#4B3F4E',
+      'envelope-seal': '#B8C4D6',
+    },
+    hearts: ['💍', '💎', '🤍', '🕊️', '💐', '🥂', '✨', '💞'],
+    confetti: {
+      colors: [
+        '#FFFFFF', '#F4E1E6', '#E8B4C0', '#C9667A',
+        '#D8DEE9', '#B8C4D6', '#F2D0D9', '#EDE6DA',
+      ],
+      emoji: ['💍', '💎', '🤍', '🥂', '✨'],
+    },
+    symbol: '💍',
+    // A ring with a stone
+    seal: 'M87,67 a13,13 0 1,0 26,0 a13,13 0 1,0 -26,0 Z M91.5,67 a8.5,8.5 0 1,0 17,0 a8.5,8.5 0 1,0 -17,0 Z ' +
+      'M94,48 L100,40 L106,48 L100,54 Z',
+    messages: {
+      en: {
+        'page.title': 'A question for you 💍',
+        'proposal.label': 'Marriage proposal',
+        'proposal.heading': 'Will you marry me?',
+        'proposal.yesLabel': 'Yes, I will marry you',
+        'congrats.heading': "We're engaged!",
+        'congrats.openLetter': 'Open the letter',
+        'keepsake.heading': '{name} said yes! 💍',
+      },
+      fr: {
+        'page.title': 'Une question pour toi 💍',
+        'proposal.label': 'Demande en mariage',
+        'proposal.heading': 'Veux-tu m’épouser ?',
+        'proposal.yesLabel': 'Oui, je veux t’épouser',
+        'congrats.heading': 'Nous sommes fiancés !',
+        'congrats.openLetter': 'Ouvrir la lettre',
+        'keepsake.heading': '{name} a dit oui ! 💍',
+      },
+      es: {
+        'page.title': 'Una pregunta para ti 💍',
+        'proposal.label': 'Propuesta de matrimonio',
+        'proposal.heading': '¿Quieres casarte conmigo?',
+        'proposal.yesLabel': 'Sí, quiero casarme contigo',
+        'congrats.heading': '¡Nos hemos prometido!',
+        'congrats.openLetter': 'Abrir la carta',
+        'keepsake.heading': '¡{name} dijo que sí! 💍',
+      },
+      ar: {
+        'page.title': 'سؤال لك 💍',
+        'proposal.label': 'طلب الزواج',
+        'proposal.heading': 'هل تقبل الزواج بي؟',
+        'proposal.yesLabel': 'نعم، أقبل الزواج بك',
+        'congrats.heading': 'لقد تمت الخطوبة!',
+        'congrats.openLetter': 'افتح الرسالة',
+        'keepsake.heading': '{name} — الجواب نعم! 💍',
+      },
+    },
+  },
+};
+
+const DEFAULT_THEME = 'valentine';
+
+// Design tokens a theme may set
+const THEME_COLOR_TOKENS = Object.keys(Themes[DEFAULT_THEME].colors);
+
+let activeTheme = Themes[DEFAULT_THEME];
 
 /**
- * Move the "No" button to a random position away from the cursor.
- * @param {MouseEvent|TouchEvent} e
+ * The full theme a config asks for: a built-in one by name, or a custom
+ * one layered over the theme it `extends` (Valentine's by default).
+ * @param {string|Object} [setting]
+ * @returns {Object}
+ */
+function resolveTheme(setting = DEFAULT_THEME) {
+  if (typeof setting === 'string') return Themes[setting];
+
+  const base = Themes[setting.extends || DEFAULT_THEME];
+  const messages = { ...base.messages };
+  Object.entries(setting.messages || {}).forEach(([language, copy]) => {
+    messages[language] = { ...messages[language], ...copy };
+  });
+
+  return {
+    ...base,
+    ...setting,
+    colors: { ...base.colors, ...setting.colors },
+    confetti: { ...base.confetti, ...setting.confetti },
+    messages,
+  };
+}
+
+/**
+ * Switch to a theme: its colours go on the page as CSS custom properties
+ * and its seal onto the envelope. Its copy takes effect at the next setLocale.
+ * @param {string|Object} [setting] - The config's `theme`
+ */
+function applyTheme(setting) {
+  activeTheme = resolveTheme(setting);
+
+  const root = document.documentElement;
+  Object.entries(activeTheme.colors).forEach(([token, value]) => {
+    root.style.setProperty(`--${token}`, value);
+  });
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', activeTheme.colors['romantic-red']);
+  envelopeSeal.setAttribute('d', activeTheme.seal);
+}
+
+// ================================================================
+//  ANIMATION SCHEDULER — One rAF loop for every timer and animation
+// ================================================================
+
+/**
+ * Runs all animation work from a single requestAnimationFrame loop.
+ * Tasks are named (adding a task under an existing name replaces it) and
+ * can belong to a group — usually a page ID — so a page's animations can
+ * be paused, resumed or torn down together. Time only advances while the
+ * tab is visible, so timers don't all fire at once when the user returns.
+ *
+ *   frame(name, fn)         — fn(dt, clock) every frame; return false to stop
+ *   every(name, ms, fn)     — repeat every `ms` (first run after `delay`, default `ms`)
+ *   after(name, ms, fn)     — run once after `ms`
+ */
+const Scheduler = {
+  tasks: new Map(),
+  clock: 0,           // Visible milliseconds elapsed since the page loaded
+  lastFrame: null,
+  rafId: null,
+  hidden: document.hidden,
+
+  /**
+   * @param {string} name
+   * @param {(dt: number, clock: number) => (boolean|void)} fn
+   * @param {{group?: string}} [options]
+   */
+  frame(name, fn, { group = null } = {}) {
+    this.add(name, { kind: 'frame', fn, group });
+  },
+
+  /**
+   * @param {string} name
+   * @param {number} interval - Milliseconds between runs
+   * @param {Function} fn
+   * @param {{group?: string, delay?: number}} [options]
+   */
+  every(name, interval, fn, { group = null, delay = interval } = {}) {
+    this.add(name, { kind: 'every', fn, group, interval, due: this.clock + delay });
+  },
+
+  /**
+   * @param {string} name
+   * @param {number} delay - Milliseconds to wait
+   * @param {Function} fn
+   * @param {{group?: string}} [options]
+   */
+  after(name, delay, fn, { group = null } = {}) {
+    this.add(name, { kind: 'after', fn, group, due: this.clock + delay });
+  },
+
+  add(name, task) {
+    this.tasks.set(name, { ...task, name, paused: false, remaining: 0 });
+    this.start();
+  },
+
+  has(name) {
+    return this.tasks.has(name);
+  },
+
+  cancel(name) {
+    this.tasks.delete(name);
+  },
+
+  pause(name) {
+    const task = this.tasks.get(name);
+    if (!task || task.paused) return;
+    task.paused = true;
+    task.remaining = task.kind === 'frame' ? 0 : task.due - this.clock;
+  },
+
+  resume(name) {
+    const task = this.tasks.get(name);
+    if (!task || !task.paused) return;
+    task.paused = false;
+    if (task.kind !== 'frame') task.due = this.clock + task.remaining;
+    this.start();
+  },
+
+  /** Names of the tasks in a group. */
+  group(group) {
+    return [...this.tasks.values()].filter((task) => task.group === group).map((task) => task.name);
+  },
+
+  cancelGroup(group) {
+    this.group(group).forEach((name) => this.cancel(name));
+  },
+
+  pauseGroup(group) {
+    this.group(group).forEach((name) => this.pause(name));
+  },
+
+  resumeGroup(group) {
+    this.group(group).forEach((name) => this.resume(name));
+  },
+
+  /** Whether any task still needs frames (paused tasks don't). */
+  busy() {
+    return [...this.tasks.values()].some((task) => !task.paused);
+  },
+
+  start() {
+    if (this.rafId === null && !this.hidden && this.busy()) {
+      this.rafId = requestAnimationFrame((now) => this.tick(now));
+    }
+  },
+
+  stop() {
+    if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.lastFrame = null;
+  },
+
+  tick(now) {
+    this.rafId = null;
+    // Clamp long gaps (a slow frame, a debugger pause) so animations don't jump
+    const dt = this.lastFrame === null ? 0 : Math.min(now - this.lastFrame, 100);
+    this.lastFrame = now;
+    this.clock += dt;
+
+    for (const task of [...this.tasks.values()]) {
+      // Skip tasks cancelled or replaced by an earlier task this frame
+      if (task.paused || this.tasks.get(task.name) !== task) continue;
+
+      if (task.kind === 'frame') {
+        if (task.fn(dt, this.clock) === false && this.tasks.get(task.name) === task) this.cancel(task.name);
+      } else if (this.clock >= task.due) {
+        if (task.kind === 'after') {
+          this.cancel(task.name);
+        } else {
+          task.due = Math.max(task.due + task.interval, this.clock);
+        }
+        task.fn();
+      }
+    }
+
+    if (this.busy()) {
+      this.start();
+    } else {
+      this.lastFrame = null;
+    }
+  },
+};
+
+// Freeze everything while the tab is hidden
+document.addEventListener('visibilitychange', () => {
+  Scheduler.hidden = document.hidden;
+  if (document.hidden) {
+    Scheduler.stop();
+  } else {
+    Scheduler.start();
+  }
+});
+
+// ================================================================
+//  STAGE PIPELINE — The pages of the experience, in order
+// ================================================================
+
+/**
+ * Each stage of the experience is a page with its own hooks, which run
+ * whether the page is reached through the flow or through back/forward:
+ *
+ *   route              — the URL hash that opens it (`#captcha`)
+ *   requires           — config key an optional stage needs; it only plays when set
+ *   skip(config)       — whether the stage has nothing left to do, so it's left out
+ *   enter()            — the page is being shown
+ *   exit()             — the page is being left
+ *   reset()            — forget the stage's progress ("Start over")
+ *   whereabouts(saved) — where a saved session got to, for the resume dialog
+ *
+ * A finished stage calls completeStage() to move on to the next one.
+ */
+const Stages = {
+  [Pages.COUNTDOWN]: {
+    route: 'countdown',
+    requires: 'countdown',
+    skip: (config) => countdownTarget(config.countdown) <= Date.now(),
+    enter: startCountdown,
+    exit: stopCountdown,
+    reset: resetCountdownStage,
+    whereabouts: () => t('resume.countdown'),
+  },
+  [Pages.CAPTCHA]: {
+    route: 'captcha',
+    enter: () => {
+      resetCaptchaContainer();
+      stopMusic();
+    },
+    reset: resetCaptchaStage,
+    whereabouts: (session) => (captchaRounds.length > 1
+      ? t('resume.captchaRound', { round: session.captchaRoundIdx + 1 })
+      : t('resume.captcha')),
+  },
+  [Pages.QUIZ]: {
+    route: 'quiz',
+    requires: 'quiz',
+    enter: stopMusic,
+    reset: resetQuizStage,
+    whereabouts: (session) => t('resume.quiz', { number: (session.quizQuestionIdx || 0) + 1 }),
+  },
+  [Pages.PROPOSAL]: {
+    route: 'proposal',
+    enter: () => {
+      startFloatingHearts();
+      playMusic('proposal');
+    },
+    exit: stopFloatingHearts,
+    reset: resetProposalStage,
+    whereabouts: () => t('resume.proposal'),
+  },
+  [Pages.DATE]: {
+    route: 'date',
+    requires: 'date',
+    enter: () => playMusic('proposal'),
+    reset: resetDateStage,
+    whereabouts: () => t('resume.date'),
+  },
+  [Pages.CONGRATS]: {
+    route: 'congrats',
+    enter: () => {
+      playMusic('congrats');
+      showQuizScore();
+      // Start the starfield after the page transitions in
+      Scheduler.after('starfield:start', 700, startStarfield, { group: Pages.CONGRATS });
+    },
+    exit: () => {
+      stopStarfield();
+      closeLightbox();
+      closeTimeline();
+      closeKeepsake();
+    },
+    reset: resetCongratsStage,
+    whereabouts: () => t('resume.congrats'),
+  },
+};
+
+// Stage routes in the order they're played, unless the config's `stages` says otherwise
+const DEFAULT_STAGES = ['countdown', 'captcha', 'quiz', 'proposal', 'date', 'congrats'];
+
+// The page IDs of the configured stages, in order
+let stageOrder = configuredStages({}).map(stageForRoute);
+
+/**
+ * The page ID of the stage with a route, or null.
+ * @param {string} route
+ * @returns {string|null}
+ */
+function stageForRoute(route) {
+  return Object.keys(Stages).find((pageId) => Stages[pageId].route === route) || null;
+}
+
+/**
+ * The stage routes a config plays: its own `stages` list, or the defaults
+ * minus optional stages it doesn't set up. Stages that have nothing left
+ * to do (a countdown that's over) are left out of either.
+ * @param {Object} config
+ * @returns {string[]}
+ */
+function configuredStages(config) {
+  if (Array.isArray(config.stages)) {
+    return config.stages.filter((route) => !Stages[stageForRoute(route)]?.skip?.(config));
+  }
+  return DEFAULT_STAGES.filter((route) => {
+    const { requires, skip } = Stages[stageForRoute(route)];
+    return (!requires || config[requires] !== undefined) && !skip?.(config);
+  });
+}
+
+/**
+ * Move on from a finished stage to the next one in the pipeline.
+ * @param {string} pageId - The stage that has just been completed
+ */
+function completeStage(pageId) {
+  const next = stageOrder[stageOrder.indexOf(pageId) + 1];
+  if (next) showPage(next);
+}
+
+/**
+ * Transition to a specific page with fade animation.
+ * @param {string} pageId - The page ID to show.
+ * @param {Object} [options]
+ * @param {'push'|'replace'|'none'} [options.history='push'] - How to record the page in the URL hash.
+ */
+function showPage(pageId, { history = 'push' } = {}) {
+  const previousPage = currentPage;
+
+  // Deactivate all pages
+  document.querySelectorAll('.page').forEach((p) => p.classList.remove('active'));
+
+  // Activate requested page
+  const target = document.getElementById(pageId);
+  if (target) {
+    // Small delay for CSS transition to pick up the class removal
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        target.classList.add('active');
+      });
+    });
+  }
+
+  currentPage = pageId;
+
+  if (previousPage !== pageId) {
+    // Anything still scheduled for the old page waits until it's shown again
+    Scheduler.pauseGroup(previousPage);
+    Stages[previousPage]?.exit?.();
+    Scheduler.resumeGroup(pageId);
+    Stages[pageId]?.enter?.();
+  }
+
+  recordPageVisit(pageId, history);
+  saveSession();
+}
+
+// ================================================================
+//  ROUTER — Keeps each stage's #route in sync with showPage
+// ================================================================
+
+// A stage can only be reached through the URL once the flow has got there
+let furthestPageIdx = 0;
+let routerStarted = false;
+
+/**
+ * Whether a page may be shown when requested through the URL.
+ * @param {string} pageId
+ * @returns {boolean}
+ */
+function canVisitPage(pageId) {
+  // Nothing opens before the countdown has finished
+  if (stageOrder[0] === Pages.COUNTDOWN) return pageId === Pages.COUNTDOWN;
+  // Nor does anything after the passphrase, even with an answer saved
+  if (isBehindSeal(pageId)) return false;
+
+  const idx = stageOrder.indexOf(pageId);
+  return idx !== -1 && (idx <= furthestPageIdx || getSavedAnswer() !== null);
+}
+
+/**
+ * Track how far the flow has got and mirror the page into the URL hash.
+ * @param {string} pageId
+ * @param {'push'|'replace'|'none'} mode
+ */
+function recordPageVisit(pageId, mode) {
+  const idx = stageOrder.indexOf(pageId);
+  if (idx === -1) return; // Not a stage (e.g. the config error page)
+
+  furthestPageIdx = Math.max(furthestPageIdx, idx);
+
+  // Keep any query (e.g. a shared config) riding along after the route
+  const { query } = splitHash(window.location.hash);
+  const hash = `#${Stages[pageId].route}${query ? `?${query}` : ''}`;
+  if (!routerStarted || mode === 'none' || window.location.hash === hash) return;
+
+  if (mode === 'replace') {
+    window.location.replace(hash);
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+/**
+ * Split a hash like `#captcha?config=…` into its route and query parts.
+ * @param {string} hash
+ * @returns {{route: string, query: string}}
+ */
+function splitHash(hash) {
+  const [route, ...rest] = hash.replace(/^#\/?/, '').split('?');
+  return { route, query: rest.join('?') };
+}
+
+/**
+ * The stage a hash points to, or null for unknown/empty hashes.
+ * @param {string} hash
+ * @returns {string|null}
+ */
+function pageFromHash(hash) {
+  return stageForRoute(splitHash(hash).route);
+}
+
+/**
+ * Show the page named by the current hash. Hashes that skip ahead of the
+ * flow (or don't name a page) leave the current page up and correct the URL.
+ */
+function handleRouteChange() {
+  if (splitHash(window.location.hash).route === CREATOR_ROUTE) {
+    openCreator();
+    return;
+  }
+  if (!routerStarted) {
+    // Leaving a creator opened straight from a link — boot the experience properly
+    if (currentPage === CREATOR_PAGE) window.location.reload();
+    return;
+  }
+
+  const requested = pageFromHash(window.location.hash);
+
+  if (requested && canVisitPage(requested)) {
+    if (requested !== currentPage) showPage(requested, { history: 'none' });
+    return;
+  }
+  if (stageOrder.includes(currentPage) && canVisitPage(currentPage)) {
+    recordPageVisit(currentPage, 'replace');
+  } else {
+    // Still on the page the markup opens with, which this pipeline may not use
+    showPage(stageOrder[0], { history: 'replace' });
+  }
+}
+
+/**
+ * Start routing and follow browser back/forward from then on.
+ * @param {string} [initialPage] - Page to open on; defaults to the one in the hash (e.g. after a reload).
+ */
+function startRouter(initialPage) {
+  routerStarted = true;
+
+  if (initialPage) {
+    showPage(initialPage, { history: 'replace' });
+  } else {
+    handleRouteChange();
+  }
+}
+
+// ================================================================
+//  PERSISTENCE — Progress and the final answer survive reloads
+// ================================================================
+
+const StorageKeys = Object.freeze({
+  // Where the recipient got to; cleared by "Start over"
+  SESSION: 'valentines:session',
+  // The final answer — kept across replays, it only happens once
+  ANSWER: 'valentines:answer',
+  // The first date picked after the answer, kept alongside it
+  DATE_PLAN: 'valentines:date',
+  // Sound on/off preference
+  MUTED: 'valentines:muted',
+  // The in-page reduced-motion toggle
+  REDUCED_MOTION: 'valentines:reduced-motion',
+});
+
+const resumeDialog    = document.getElementById('resume-dialog');
+const resumeSummary   = document.getElementById('resume-summary');
+const resumeContinue  = document.getElementById('resume-continue-btn');
+const resumeRestart   = document.getElementById('resume-restart-btn');
+
+// Off until the return-visit choice is made, so startup can't overwrite a saved session
+let persistenceEnabled = false;
+
+/**
+ * Read a JSON value from localStorage.
+ * @param {string} key
+ * @returns {*} The stored value, or null when missing, unreadable or blocked
+ */
+function readStored(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage. Failures (private mode, full quota) are ignored.
+ * @param {string} key
+ * @param {*} value
+ */
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage unavailable — the experience still works, it just won't resume
+  }
+}
+
+/**
+ * Remove a value from localStorage.
+ * @param {string} key
+ */
+function removeStored(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Storage unavailable — nothing to clear
+  }
+}
+
+/**
+ * Snapshot the current progress into storage.
+ */
+function saveSession() {
+  if (!persistenceEnabled || !stageOrder.includes(currentPage)) return;
+
+  writeStored(StorageKeys.SESSION, {
+    recipient: experienceConfig.recipient.name,
+    page: currentPage,
+    furthestPageIdx,
+    captchaRoundIdx,
+    failureCounts,
+    quizQuestionIdx,
+    quizFailures,
+    quizScore,
+    noEvadeAttempts,
+    noButtonGone,
+    envelopeOpened,
+    savedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * The saved session for this recipient, if any.
+ * @returns {Object|null}
+ */
+function loadSession() {
+  const session = readStored(StorageKeys.SESSION);
+  if (!session || session.recipient !== experienceConfig.recipient.name) return null;
+  if (!stageOrder.includes(session.page)) return null;
+  // A session saved while previewing can't get past the countdown
+  if (stageOrder[0] === Pages.COUNTDOWN) return null;
+  return session;
+}
+
+/**
+ * Forget the saved progress (the answer is kept).
+ */
+function clearSession() {
+  removeStored(StorageKeys.SESSION);
+}
+
+/**
+ * Record the recipient's answer with a timestamp.
+ * @param {string} value
+ */
+function saveAnswer(value) {
+  writeStored(StorageKeys.ANSWER, {
+    recipient: experienceConfig.recipient.name,
+    value,
+    answeredAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * The recipient's saved answer, if they have given one on this device.
+ * @returns {{value: string, answeredAt: string}|null}
+ */
+function getSavedAnswer() {
+  const answer = readStored(StorageKeys.ANSWER);
+  if (!answer || !experienceConfig || answer.recipient !== experienceConfig.recipient.name) return null;
+  return answer;
+}
+
+/**
+ * Whether a session got far enough to be worth offering to continue.
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function sessionHasProgress(session) {
+  return session.page !== stageOrder[0] ||
+    session.captchaRoundIdx > 0 ||
+    session.failureCounts.some((count) => count > 0) ||
+    (session.quizFailures || []).some((count) => count > 0);
+}
+
+/**
+ * Put the experience back into a saved state and show the page it was on.
+ * @param {Object} session
+ */
+function restoreSession(session) {
+  failureCounts = session.failureCounts;
+  furthestPageIdx = session.furthestPageIdx;
+  noEvadeAttempts = session.noEvadeAttempts;
+
+  let roundIdx = Math.min(session.captchaRoundIdx, captchaRounds.length - 1);
+  // The key isn't saved, so a sealed letter needs its passphrase again
+  if (isSealed()) roundIdx = Math.min(roundIdx, captchaRounds.findIndex((round) => round.type === 'passphrase'));
+  if (captchaRounds.length) startCaptchaRound(roundIdx);
+  quizFailures = session.quizFailures || [];
+  quizScore = session.quizScore || null;
+  if (quizQuestions.length) startQuizQuestion(Math.min(session.quizQuestionIdx || 0, quizQuestions.length - 1));
+
+  if (session.noButtonGone) {
+    removeNoButton({ animate: false });
+  } else {
+    noButtonStrategy.restore();
+  }
+  if (session.envelopeOpened && !isSealed()) openEnvelope({ instant: true });
+
+  startRouter(isBehindSeal(session.page) ? Pages.CAPTCHA : session.page);
+}
+
+/**
+ * On a return visit, ask whether to pick up where the recipient left off.
+ * @returns {Promise<{choice: 'none'|'continue'|'restart', session: Object|null}>}
+ */
+function askToResume() {
+  const session = loadSession();
+  if (!session || !sessionHasProgress(session)) {
+    return Promise.resolve({ choice: 'none', session: null });
+  }
+
+  const place = Stages[session.page].whereabouts(session);
+  resumeSummary.textContent = t('resume.summary', { place });
+  resumeDialog.classList.remove('hidden');
+  resumeContinue.focus();
+
+  return new Promise((resolve) => {
+    const choose = (choice) => {
+      resumeDialog.classList.add('hidden');
+      resumeContinue.removeEventListener('click', onContinue);
+      resumeRestart.removeEventListener('click', onRestart);
+      resolve({ choice, session });
+    };
+    const onContinue = () => choose('continue');
+    const onRestart = () => choose('restart');
+    resumeContinue.addEventListener('click', onContinue);
+    resumeRestart.addEventListener('click', onRestart);
+  });
+}
+
+/**
+ * Resume, restart or route normally depending on the return-visit choice.
+ * @param {{choice: string, session: Object|null}} result
+ */
+function resumeOrStart({ choice, session }) {
+  persistenceEnabled = true;
+
+  if (choice === 'continue') {
+    restoreSession(session);
+    return;
+  }
+
+  clearSession();
+  // "Relive it from the start" ignores any deep link in the URL
+  startRouter(choice === 'restart' ? stageOrder[0] : undefined);
+}
+
+// ================================================================
+//  IMAGE LOADING — srcset variants, blur-up placeholders, decode-before-show
+// ================================================================
+// Any image in the config (CAPTCHA images, split-image rounds, gallery
+// photos) can list smaller variants and a tiny placeholder:
+//   srcset      — [{ src, width }] extra sizes; the browser picks one to fit
+//   placeholder — a tiny image (usually a data: URL) shown blurred until the real one decodes
+
+// Rendered width of the images, for the browser's srcset choice
+const GALLERY_IMAGE_SIZES = '(max-width: 480px) 300px, (max-width: 768px) 160px, 220px';
+const captchaImageSizes = (columns) => `${Math.ceil(420 / columns)}px`;
+
+/**
+ * Check an image's optional srcset and placeholder fields.
+ * @param {Object} image
+ * @param {string} path - Config path for messages
+ * @returns {string[]} Problems
+ */
+function validateImageSources(image, path) {
+  const problems = [];
+  if (image.srcset !== undefined &&
+      (!Array.isArray(image.srcset) ||
+       !image.srcset.every((v) => v && isText(v.src) && Number.isInteger(v.width) && v.width > 0))) {
+    problems.push(`${path}.srcset must be a list of { src, width } with whole-number widths when present.`);
+  }
+  if (image.placeholder !== undefined && !isText(image.placeholder)) {
+    problems.push(`${path}.placeholder must be a non-empty string when present.`);
+  }
+  return problems;
+}
+
+/**
+ * Point an <img> at a config image, including its srcset variants.
+ * @param {HTMLImageElement} img
+ * @param {{src: string, srcset?: Array<{src: string, width: number}>}} source
+ * @param {string} sizes - The `sizes` attribute to use with the srcset
+ */
+function applyImageSources(img, source, sizes) {
+  if (source.srcset?.length) {
+    img.sizes = sizes;
+    img.srcset = source.srcset.map((v) => `${v.src} ${v.width}w`).join(', ');
+  } else {
+    // The element may be reused for another image (the lightbox is)
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+  }
+  img.src = source.src;
+}
+
+/**
+ * Show a config image's placeholder, blurred, behind an element's <img>.
+ * @param {HTMLElement} el - The .blur-up container
+ * @param {{placeholder?: string}} source
+ */
+function applyPlaceholder(el, source) {
+  el.classList.add('blur-up');
+  if (source.placeholder) el.style.setProperty('--placeholder', `url("${source.placeholder}")`);
+}
+
+/**
+ * Wait until an image is loaded and decoded, so showing it won't flash
+ * blank. Never rejects: a broken image resolves too, and is simply shown.
+ * @param {HTMLImageElement} img
+ * @returns {Promise<void>}
+ */
+function decodeImage(img) {
+  img.loading = 'eager';
+  if (typeof img.decode !== 'function') return Promise.resolve();
+  return img.decode().catch(() => {});
+}
+
+/**
+ * Fade an element's image in over its placeholder once it has decoded.
+ * @param {HTMLElement} el - The .blur-up container
+ * @param {HTMLImageElement} img
+ * @returns {Promise<void>}
+ */
+function revealWhenDecoded(el, img) {
+  return decodeImage(img).then(() => el.classList.add('loaded'));
+}
+
+/**
+ * Fetch and decode a list of config images ahead of time.
+ * @param {Array<{src: string, srcset?: Array}>} sources
+ * @param {string} sizes
+ */
+function preloadImages(sources, sizes) {
+  sources.forEach((source) => {
+    const img = new Image();
+    applyImageSources(img, source, sizes);
+    decodeImage(img);
+  });
+}
+
+// ================================================================
+//  COUNTDOWN GATE — Nothing opens until the chosen moment
+// ================================================================
+// The optional `countdown` stage comes before everything else:
+//   until    — wall-clock time it opens, e.g. "2025-02-14T00:00"
+//   timeZone   — IANA zone `until` is in; the viewer's own zone when left out
+//   previewKey — SHA-256 (hex) of a word only the sender knows, see below
+// Once the time has passed the stage is left out altogether. Adding
+// `?preview=N&key=<word>` to the URL (`#countdown?preview=10&key=…`) runs it
+// for N seconds instead, so it can be tried out before sending the link.
+// Without a `previewKey`, or with the wrong word, `preview` is ignored, so the
+// recipient can't open the gate early by editing the URL. Get the hash with
+// `await previewKeyHash('word')` in the browser console.
+
+const countdownContent  = document.getElementById('countdown-content');
+const countdownHearts   = document.getElementById('countdown-hearts');
+const countdownOpens    = document.getElementById('countdown-opens');
+const countdownTimer    = document.getElementById('countdown-timer');
+const countdownPreview  = document.getElementById('countdown-preview');
+
+// How long a `?preview` without a number runs for (seconds)
+const DEFAULT_COUNTDOWN_PREVIEW = 10;
+
+let countdownEnds = null;            // Timestamp the gate opens at (ms), when there is one
+let countdownPreviewLength = null;   // Seconds to preview for, once the URL's key has been checked
+
+/**
+ * The `previewKey` to put in the config for a preview word.
+ * @param {string} word
+ * @returns {Promise<string>} SHA-256, hex
+ */
+async function previewKeyHash(word) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(word));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Honour `?preview` in the URL only when its `key` matches the config's
+ * `previewKey`. Runs before the config is applied.
+ * @param {Object} [countdown] - The `countdown` section of the config
+ * @returns {Promise<void>}
+ */
+async function unlockCountdownPreview(countdown) {
+  countdownPreviewLength = null;
+  const params = new URLSearchParams(splitHash(window.location.hash).query);
+  const preview = params.get('preview');
+  const key = params.get('key');
+  if (preview === null || key === null || !countdown?.previewKey) return;
+
+  try {
+    if (await previewKeyHash(key) !== countdown.previewKey.toLowerCase()) return;
+  } catch (err) {
+    console.warn("Couldn't check the countdown preview key:", err);
+    return;
+  }
+  const seconds = parseFloat(preview);
+  countdownPreviewLength = Number.isFinite(seconds) ? Math.max(0, seconds) : DEFAULT_COUNTDOWN_PREVIEW;
+}
+
+/**
+ * The moment a wall-clock time happens in a time zone.
+ * @param {string} local - e.g. "2025-02-14T00:00" or "2025-02-14T00:00:30"
+ * @param {string} [timeZone] - IANA zone; the viewer's own when left out
+ * @returns {number} Timestamp (ms)
+ */
+function zonedTime(local, timeZone) {
+  const [year, month, day, hours, minutes, seconds = 0] = local.split(/[-T:]/).map(Number);
+  if (!timeZone) return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+  // How far the zone's clocks are ahead of UTC at a moment
+  const offsetAt = (moment) => {
+    const parts = Object.fromEntries(format.formatToParts(moment).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - moment;
+  };
+
+  // Guess with the offset at the wall time, then use the offset at the guess
+  // in case a daylight-saving change falls in between
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  return wall - offsetAt(wall - offsetAt(wall));
+}
+
+/**
+ * When a countdown opens — or, when previewing, a few seconds from now.
+ * @param {Object} [countdown] - The `countdown` section of the config
+ * @returns {number} Timestamp (ms); NaN when the section is unusable
+ */
+function countdownTarget(countdown) {
+  if (countdownPreviewLength !== null) return Date.now() + countdownPreviewLength * 1000;
+  try {
+    return zonedTime(countdown.until, countdown.timeZone);
+  } catch {
+    return NaN; // Reported by validateConfig
+  }
+}
+
+/**
+ * Show the time left, and open the gate once it has run out.
+ */
+function renderCountdown() {
+  const remaining = Math.ceil((countdownEnds - Date.now()) / 1000);
+  if (remaining <= 0) {
+    finishCountdown();
+    return;
+  }
+
+  const units = {
+    days: Math.floor(remaining / 86400),
+    hours: Math.floor(remaining / 3600) % 24,
+    minutes: Math.floor(remaining / 60) % 60,
+    seconds: remaining % 60,
+  };
+  countdownTimer.querySelectorAll('.countdown-unit').forEach((el) => {
+    const { unit } = el.dataset;
+    const value = units[unit];
+    el.querySelector('.countdown-number').textContent =
+      value.toLocaleString(activeLocale, { minimumIntegerDigits: unit === 'days' ? 1 : 2 });
+    el.querySelector('.countdown-label').textContent = t(`countdown.${unit}`, { count: value });
+  });
+  countdownContent.classList.toggle('final', remaining <= 10);
+}
+
+/**
+ * Start ticking (the countdown page is being shown).
+ */
+function startCountdown() {
+  stopMusic();
+  countdownOpens.textContent = t('countdown.opensAt', {
+    when: formatDate(new Date(countdownEnds), { dateStyle: 'full', timeStyle: 'short' }),
+  });
+  countdownPreview.classList.toggle('hidden', countdownPreviewLength === null);
+
+  renderCountdown();
+  // Read the clock often, so the seconds turn over on time (unless that first look found it over)
+  if (!countdownContent.classList.contains('unlocked')) {
+    Scheduler.every('countdown:tick', 250, renderCountdown, { group: Pages.COUNTDOWN });
+    startFloatingHearts(countdownHearts, Pages.COUNTDOWN);
+  }
+}
+
+/**
+ * Stop ticking (the countdown page is being left).
+ */
+function stopCountdown() {
+  Scheduler.cancel('countdown:tick');
+  stopFloatingHearts();
+}
+
+/**
+ * Time's up: celebrate for a moment, then drop the gate from the pipeline
+ * and move on to what was behind it.
+ */
+function finishCountdown() {
+  stopCountdown();
+  countdownContent.classList.remove('final');
+  countdownContent.classList.add('unlocked');
+  launchConfetti('burst');
+  Scheduler.after('confetti:stop', 3000, stopConfetti, { group: 'confetti' });
+
+  Scheduler.after('countdown:open', 1500, () => {
+    stageOrder = stageOrder.filter((pageId) => pageId !== Pages.COUNTDOWN);
+    showPage(stageOrder[0], { history: 'replace' });
+  }, { group: Pages.COUNTDOWN });
+}
+
+/**
+ * Clear the celebration and any hearts left behind.
+ */
+function resetCountdownStage() {
+  stopCountdown();
+  countdownContent.classList.remove('final', 'unlocked');
+  countdownHearts.innerHTML = '';
+}
+
+// ================================================================
+//  SEALED CONTENT — The letter and photos, locked behind a passphrase
+// ================================================================
+// Instead of `letter` and `gallery`, a config can carry them encrypted:
+//   sealed — { iterations, salt, iv, data }, everything but iterations in base64url
+// `data` is AES-GCM ciphertext of `{ letter, gallery }` under a key derived
+// from a passphrase (PBKDF2 with SHA-256). The recipient types it into a
+// `passphrase` CAPTCHA round, and until then neither the letter nor the photo
+// list is anywhere in the page. The creator can seal its output; for
+// config.json, run `await sealContent({ letter, gallery }, 'passphrase')`
+// in the browser console and paste the result in as `sealed`.
+
+// PBKDF2 rounds for new seals (each seal records its own)
+const SEAL_ITERATIONS = 250000;
+
+// The key once the passphrase has been given. It can't be exported and is
+// never saved, so after a reload the passphrase is asked for again.
+let sealKey = null;
+
+/**
+ * Whether the letter and photos are still waiting for their passphrase.
+ * @returns {boolean}
+ */
+function isSealed() {
+  return Boolean(experienceConfig?.sealed) && sealKey === null;
+}
+
+/**
+ * Whether a page comes after the CAPTCHA, and so stays shut while sealed.
+ * @param {string} pageId
+ * @returns {boolean}
+ */
+function isBehindSeal(pageId) {
+  return isSealed() && stageOrder.indexOf(pageId) > stageOrder.indexOf(Pages.CAPTCHA);
+}
+
+/**
+ * Passphrases match whatever their capitals or surrounding spaces.
+ * @param {string} passphrase
+ * @returns {string}
+ */
+function normalisePassphrase(passphrase) {
+  return passphrase.normalize('NFC').trim().toLowerCase();
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveSealKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(normalisePassphrase(passphrase)), 'PBKDF2', false, ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * Encrypt a letter and gallery into a config's `sealed` section.
+ * @param {{letter: Object, gallery: Object}} content
+ * @param {string} passphrase
+ * @returns {Promise<Object>}
+ */
+async function sealContent({ letter, gallery }, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveSealKey(passphrase, salt, SEAL_ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify({ letter, gallery })),
+  );
+  return {
+    iterations: SEAL_ITERATIONS,
+    salt: bytesToBase64Url(salt),
+    iv: bytesToBase64Url(iv),
+    data: bytesToBase64Url(new Uint8Array(data)),
+  };
+}
+
+/**
+ * Try a passphrase on the sealed content.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} Whether it was the right one (and the content is now shown)
+ */
+async function unsealWithPassphrase(passphrase) {
+  const { salt, iterations } = experienceConfig.sealed;
+  return openSeal(await deriveSealKey(passphrase, base64UrlToBytes(salt), iterations));
+}
+
+/**
+ * Decrypt the sealed content and build the letter and galleries from it.
+ * @param {CryptoKey} key
+ * @returns {Promise<boolean>} Whether the key opened it
+ */
+async function openSeal(key) {
+  const { iv, data } = experienceConfig.sealed;
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(iv) }, key, base64UrlToBytes(data));
+  } catch {
+    // AES-GCM won't decrypt with anything but the right key
+    return false;
+  }
+
+  // Only now can what was sealed be checked, as if it were a config with just the letter page
+  let content;
+  try {
+    content = JSON.parse(new TextDecoder().decode(plain));
+    checkConfig({
+      recipient: experienceConfig.recipient,
+      stages: [Stages[Pages.CONGRATS].route],
+      letter: content?.letter,
+      gallery: content?.gallery,
+    }, 'The sealed letter and photos');
+  } catch (err) {
+    showConfigError(err);
+    return false;
+  }
+
+  sealKey = key;
+  experienceConfig.letter = content.letter;
+  experienceConfig.gallery = content.gallery;
+  buildLetter(content.letter);
+  buildSideGalleries(content.gallery.photos);
+  cacheForOffline(content);
+  return true;
+}
+
+// ================================================================
+//  PAGE 1 — CAPTCHA
+// ================================================================
+
+/**
+ * Shuffle an array in-place using Fisher-Yates algorithm.
+ * @param {Array} arr
+ * @returns {Array} The shuffled array
+ */
+function shuffleArray(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// ── Challenge Types ───────────────────────────────────────────
+// Each round in `captcha.rounds` names one of these. A type describes how
+// its cells are laid out, how they can be selected and what counts as solved.
+//   instruction  — message ID of the default text shown above the highlighted prompt
+//   columns      — grid width for the round
+//   selection    — 'multi' (toggle any), 'single' (radio), 'ordered' (numbered clicks)
+//                  or 'text' (a typed answer instead of cells)
+//   validate     — config checks for the round (returns problem strings)
+//   cells        — the round's cells in display order
+//   canVerify    — whether the current selection may be submitted
+//   isSolved     — whether the current selection is correct (may be a promise)
+//   ownHintOnly  — optional; true when `captcha.hint` (written for the photo rounds) doesn't apply
+
+const ChallengeTypes = {
+  'select-targets': {
+    instruction: 'captcha.selectTargets',
+    columns: () => 3,
+    selection: 'multi',
+    validate(round, path) {
+      const problems = validateImageList(round.images, `${path}.images`, 2);
+      if (Array.isArray(round.images)) {
+        if (!round.images.some((img) => img && img.isTarget === true)) {
+          problems.push(`${path}.images needs at least one target (isTarget: true).`);
+        }
+        if (!round.images.some((img) => img && img.isTarget === false)) {
+          problems.push(`${path}.images needs at least one decoy (isTarget: false).`);
+        }
+        round.images.forEach((img, i) => {
+          if (img && typeof img.isTarget !== 'boolean') problems.push(`${path}.images[${i}].isTarget must be true or false.`);
+        });
+      }
+      return problems;
+    },
+    cells: (round) => shuffleArray(round.images.map((img) => ({ ...img }))),
+    canVerify: (cells, selected) => selected.size > 0,
+    isSolved: (cells, selected) => cells.every((cell, i) => cell.isTarget === selected.has(i)),
+  },
+
+  'odd-one-out': {
+    instruction: 'captcha.oddOneOut',
+    columns: () => 3,
+    selection: 'single',
+    validate(round, path) {
+      const problems = validateImageList(round.images, `${path}.images`, 3);
+      if (Array.isArray(round.images) && round.images.filter((img) => img && img.isTarget === true).length !== 1) {
+        problems.push(`${path}.images must mark exactly one photo as the odd one out (isTarget: true).`);
+      }
+      return problems;
+    },
+    cells: (round) => shuffleArray(round.images.map((img) => ({ ...img, isTarget: img.isTarget === true }))),
+    canVerify: (cells, selected) => selected.size === 1,
+    isSolved: (cells, selected) => selected.size === 1 && cells[[...selected][0]].isTarget,
+  },
+
+  chronological: {
+    instruction: 'captcha.chronological',
+    columns: () => 3,
+    selection: 'ordered',
+    validate(round, path) {
+      const problems = validateImageList(round.images, `${path}.images`, 2);
+      if (Array.isArray(round.images)) {
+        round.images.forEach((img, i) => {
+          if (img && !Number.isFinite(img.order)) problems.push(`${path}.images[${i}].order must be a number.`);
+        });
+        const orders = round.images.map((img) => img && img.order);
+        if (new Set(orders).size !== orders.length) problems.push(`${path}.images must each have a different order.`);
+      }
+      return problems;
+    },
+    cells: (round) => shuffleArray(round.images.map((img) => ({ ...img }))),
+    canVerify: (cells, selected) => selected.size === cells.length,
+    isSolved(cells, selected) {
+      // Selected is a Set, so it iterates in click order
+      const clicked = [...selected].map((i) => cells[i].order);
+      return clicked.every((order, i) => i === 0 || order > clicked[i - 1]);
+    },
+  },
+
+  'split-image': {
+    instruction: 'captcha.splitImage',
+    columns: (round) => round.gridSize || 4,
+    selection: 'multi',
+    validate(round, path) {
+      const problems = [];
+      const size = round.gridSize === undefined ? 4 : round.gridSize;
+      if (typeof round.src !== 'string' || round.src.trim() === '') problems.push(`${path}.src must be a non-empty string.`);
+      problems.push(...validateImageSources(round, path));
+      if (!Number.isInteger(size) || size < 2 || size > 6) problems.push(`${path}.gridSize must be a whole number from 2 to 6.`);
+      if (!Array.isArray(round.targetTiles) || round.targetTiles.length === 0 ||
+          !round.targetTiles.every((t) => Number.isInteger(t) && t >= 0 && t < size * size)) {
+        problems.push(`${path}.targetTiles must list tile numbers from 0 to ${size * size - 1} (left to right, top to bottom).`);
+      }
+      return problems;
+    },
+    cells(round) {
+      const size = round.gridSize || 4;
+      const targets = new Set(round.targetTiles);
+      return Array.from({ length: size * size }, (_, tile) => ({
+        src: round.src,
+        srcset: round.srcset,
+        placeholder: round.placeholder,
+        alt: round.alt ? `${round.alt}, tile ${tile + 1}` : `Tile ${tile + 1}`,
+        isTarget: targets.has(tile),
+        tile: { size, row: Math.floor(tile / size), col: tile % size },
+      }));
+    },
+    canVerify: (cells, selected) => selected.size > 0,
+    isSolved: (cells, selected) => cells.every((cell, i) => cell.isTarget === selected.has(i)),
+  },
+
+  // Opens the sealed letter and photos; the only check is whether it decrypts them
+  passphrase: {
+    instruction: 'captcha.passphrase',
+    columns: () => 1,
+    selection: 'text',
+    ownHintOnly: true,
+    validate: () => [],
+    cells: () => [],
+    canVerify: () => typedPassphrase().trim() !== '',
+    isSolved: () => unsealWithPassphrase(typedPassphrase()),
+  },
+};
+
+/**
+ * What has been typed into a passphrase round so far.
+ * @returns {string}
+ */
+function typedPassphrase() {
+  return captchaGrid.querySelector('.captcha-passphrase')?.value || '';
+}
+
+/**
+ * Validate a list of `{ src, alt? }` image entries.
+ * @param {*} images
+ * @param {string} path - Config path used in messages
+ * @param {number} min - Minimum number of images
+ * @returns {string[]} Problems
+ */
+function validateImageList(images, path, min) {
+  if (!Array.isArray(images) || images.length < min) {
+    return [`${path} must be an array of at least ${min} images.`];
+  }
+  const problems = [];
+  images.forEach((img, i) => {
+    if (!img || typeof img.src !== 'string' || img.src.trim() === '') {
+      problems.push(`${path}[${i}].src must be a non-empty string.`);
+    } else {
+      problems.push(...validateImageSources(img, `${path}[${i}]`));
+    }
+  });
+  return problems;
+}
+
+/**
+ * The CAPTCHA rounds described by a config. A config with top-level
+ * `captcha.images` (and no `rounds`) is treated as one select-targets round.
+ * @param {Object} captcha - The `captcha` section of the config
+ * @returns {Object[]} Rounds
+ */
+function getCaptchaRounds(captcha) {
+  if (Array.isArray(captcha.rounds)) return captcha.rounds;
+  return [{ type: 'select-targets', prompt: captcha.prompt, images: captcha.images }];
+}
+
+// ── Round State ───────────────────────────────────────────────
+
+let captchaRounds = [];
+let captchaRoundIdx = 0;
+let captchaCells = [];       // Cell data for the current round, by grid index
+let failureCounts = [];      // Failed attempts, per round
+
+/**
+ * Start (or restart) a CAPTCHA round: update the prompt, hint and progress, then build its grid.
+ * @param {number} roundIdx
+ */
+function startCaptchaRound(roundIdx) {
+  captchaRoundIdx = roundIdx;
+  const round = captchaRounds[roundIdx];
+  const type = ChallengeTypes[round.type];
+
+  captchaInstruction.textContent = round.instruction || t(type.instruction);
+  captchaPrompt.textContent = round.prompt || '';
+  captchaHint.textContent = round.hint || (type.ownHintOnly ? '' : experienceConfig.captcha.hint) || '';
+  captchaHint.classList.remove('visible');
+
+  captchaProgress.textContent = captchaRounds.length > 1
+    ? t('captcha.round', { round: roundIdx + 1, total: captchaRounds.length })
+    : '';
+
+  initCaptchaGrid();
+  saveSession();
+
+  // Warm up the next round's photos while this one is played
+  const next = captchaRounds[roundIdx + 1];
+  if (next && (next.images || next.src)) preloadImages(next.images || [next], captchaImageSizes(ChallengeTypes[next.type].columns(next)));
+}
+
+/**
+ * Build the grid for the current round, with randomized positions where the type allows.
+ */
+function initCaptchaGrid() {
+  const round = captchaRounds[captchaRoundIdx];
+  const type = ChallengeTypes[round.type];
+
+  const columns = type.columns(round);
+  captchaGrid.innerHTML = '';
+  captchaGrid.style.setProperty('--captcha-columns', columns);
+  captchaGrid.dataset.selection = type.selection;
+  selectedCells.clear();
+
+  captchaCells = type.cells(round);
+  updateVerifyButton();
+
+  if (type.selection === 'text') {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'captcha-passphrase';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('aria-label', t('captcha.passphraseLabel'));
+    input.addEventListener('input', () => {
+      updateVerifyButton();
+      captchaError.classList.remove('visible');
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !verifyBtn.disabled) verifyCaptcha();
+    });
+    captchaGrid.appendChild(input);
+  }
+
+  captchaCells.forEach((imgData, index) => {
+    const cell = document.createElement('div');
+    cell.classList.add('captcha-cell');
+    cell.setAttribute('role', type.selection === 'single' ? 'radio' : 'checkbox');
+    cell.setAttribute('aria-checked', 'false');
+    cell.setAttribute('tabindex', '0');
+    cell.setAttribute('aria-label', imgData.alt || t('captcha.candidate', { number: index + 1 }));
+    cell.dataset.index = index;
+
+    const img = document.createElement('img');
+    img.alt = imgData.alt || '';
+    img.draggable = false;
+    applyPlaceholder(cell, imgData);
+
+    // Split-image tiles show one slice of a larger picture
+    if (imgData.tile) {
+      const { size, row, col } = imgData.tile;
+      cell.classList.add('captcha-tile');
+      img.style.width = `${size * 100}%`;
+      img.style.height = `${size * 100}%`;
+      img.style.left = `${-col * 100}%`;
+      img.style.top = `${-row * 100}%`;
+      // The placeholder is the whole picture too, so slice it the same way
+      cell.style.setProperty('--placeholder-size', `${size * 100}%`);
+      cell.style.setProperty('--placeholder-position', `${(col / (size - 1)) * 100}% ${(row / (size - 1)) * 100}%`);
+      applyImageSources(img, imgData, `${Math.ceil(420 * size / columns)}px`);
+    } else {
+      applyImageSources(img, imgData, captchaImageSizes(columns));
+    }
+    revealWhenDecoded(cell, img);
+
+    // Checkmark overlay (shows a click number instead for ordered rounds)
+    const checkOverlay = document.createElement('div');
+    checkOverlay.classList.add('check-overlay');
+    checkOverlay.innerHTML = `
+      <svg viewBox="0 0 24 24" aria-hidden="true">
+        <polyline points="20 6 9 17 4 12" />
+      </svg>
+      <span class="check-order" aria-hidden="true"></span>
+    `;
+
+    cell.appendChild(img);
+    cell.appendChild(checkOverlay);
+    captchaGrid.appendChild(cell);
+
+    // Click handler
+    cell.addEventListener('click', () => toggleCell(cell, index));
+
+    // Keyboard support (Enter/Space)
+    cell.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        toggleCell(cell, index);
+      }
+    });
+  });
+}
+
+/**
+ * Toggle a CAPTCHA cell selection.
+ * @param {HTMLElement} cell
+ * @param {number} index
+ */
+function toggleCell(cell, index) {
+  const selection = ChallengeTypes[captchaRounds[captchaRoundIdx].type].selection;
+
+  if (selectedCells.has(index)) {
+    selectedCells.delete(index);
+  } else {
+    // Single-select rounds behave like radio buttons
+    if (selection === 'single') selectedCells.clear();
+    selectedCells.add(index);
+  }
+  syncCellStates();
+  updateVerifyButton();
+  playSfx('toggle');
+
+  // Hide error when user makes a new selection
+  captchaError.classList.remove('visible');
+}
+
+/**
+ * Reflect `selectedCells` onto the grid (selected state and click order numbers).
+ */
+function syncCellStates() {
+  const order = [...selectedCells];
+  captchaGrid.querySelectorAll('.captcha-cell').forEach((cell) => {
+    const index = parseInt(cell.dataset.index);
+    const position = order.indexOf(index);
+    cell.classList.toggle('selected', position !== -1);
+    cell.setAttribute('aria-checked', String(position !== -1));
+    cell.querySelector('.check-order').textContent = position !== -1 ? position + 1 : '';
+  });
+}
+
+/**
+ * Enable or disable the verify button based on selections.
+ */
+function updateVerifyButton() {
+  const round = captchaRounds[captchaRoundIdx];
+  verifyBtn.disabled = !round || !ChallengeTypes[round.type].canVerify(captchaCells, selectedCells);
+}
+
+/**
+ * Verify the user's selections for the current round.
+ */
+async function verifyCaptcha() {
+  const type = ChallengeTypes[captchaRounds[captchaRoundIdx].type];
+  // Held off while a passphrase is tried, so it can't be sent twice
+  verifyBtn.disabled = true;
+  let allCorrect;
+  try {
+    allCorrect = await type.isSolved(captchaCells, selectedCells);
+  } catch (err) {
+    // The check itself failed (no WebCrypto over plain http) — not the recipient's mistake
+    console.warn("Couldn't check the answer:", err);
+    captchaError.textContent = t('captcha.uncheckable');
+    captchaError.classList.add('visible');
+    updateVerifyButton();
+    return;
+  }
+
+  if (allCorrect && captchaRoundIdx < captchaRounds.length - 1) {
+    // ✅ Round passed → fade the grid over to the next round
+    captchaError.classList.remove('visible');
+    captchaGrid.classList.add('switching');
+
+    Scheduler.after('captcha:next-round', 300, () => {
+      startCaptchaRound(captchaRoundIdx + 1);
+      captchaGrid.classList.remove('switching');
+    }, { group: Pages.CAPTCHA });
+  } else if (allCorrect) {
+    // ✅ Final round passed → on to the next stage
+    captchaContainer.style.transition = 'transform 400ms ease, opacity 400ms ease';
+    captchaContainer.style.transform = 'scale(0.95)';
+    captchaContainer.style.opacity = '0';
+
+    Scheduler.after('captcha:passed', 500, () => completeStage(Pages.CAPTCHA), { group: Pages.CAPTCHA });
+  } else {
+    // ❌ Wrong → shake + show error with escalating messages for this round
+    const round = captchaRounds[captchaRoundIdx];
+    failureCounts[captchaRoundIdx] = (failureCounts[captchaRoundIdx] || 0) + 1;
+    captchaContainer.classList.add('shake');
+    playSfx('error');
+
+    // Cycle through different messages per attempt
+    const messages = round.errorMessages || experienceConfig.captcha.errorMessages || t('captcha.errors');
+    const msgIndex = Math.min(failureCounts[captchaRoundIdx] - 1, messages.length - 1);
+    captchaError.textContent = messages[msgIndex];
+    captchaError.classList.add('visible');
+    saveSession();
+
+    // Show hint on every failure (if the round has one)
+    if (captchaHint.textContent) captchaHint.classList.add('visible');
+
+    // Remove shake class after animation completes, then restart just this round
+    Scheduler.after('captcha:shake', 500, () => {
+      captchaContainer.classList.remove('shake');
+      initCaptchaGrid();
+    }, { group: Pages.CAPTCHA });
+  }
+}
+
+/**
+ * Undo the success fade-out so the CAPTCHA card is visible again.
+ */
+function resetCaptchaContainer() {
+  captchaContainer.style.transition = '';
+  captchaContainer.style.transform = '';
+  captchaContainer.style.opacity = '';
+}
+
+// Wire up verify button
+verifyBtn.addEventListener('click', verifyCaptcha);
+
+// ================================================================
+//  RELATIONSHIP QUIZ — Questions only the two of us could answer
+// ================================================================
+// The optional `quiz` stage. Each entry in `quiz.questions` names one of the
+// QuestionTypes below. Wrong answers get escalating messages like the
+// CAPTCHA's, and a question's hint appears once it has been missed
+// `quiz.hintAfter` times. The score is shown on the congrats page.
+
+const quizCard        = document.getElementById('quiz-card');
+const quizProgress    = document.getElementById('quiz-progress');
+const quizQuestion    = document.getElementById('quiz-question');
+const quizInstruction = document.getElementById('quiz-instruction');
+const quizAnswer      = document.getElementById('quiz-answer');
+const quizCheckBtn    = document.getElementById('quiz-check-btn');
+const quizFeedback    = document.getElementById('quiz-feedback');
+const quizHint        = document.getElementById('quiz-hint');
+const quizScoreText   = document.getElementById('quiz-score');
+
+// Wrong answers to a question before its hint shows, unless the config says otherwise
+const DEFAULT_QUIZ_HINT_AFTER = 2;
+
+/**
+ * Reduce a typed answer to what matters when comparing: lower case, no
+ * accents, punctuation or extra spaces.
+ * @param {string} text
+ * @returns {string}
+ */
+function normaliseAnswer(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * The number of single-character edits (Levenshtein distance) between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const target = [...b];
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  [...a].forEach((char, i) => {
+    const current = [i + 1];
+    target.forEach((other, j) => {
+      current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (char === other ? 0 : 1)));
+    });
+    previous = current;
+  });
+  return previous[target.length];
+}
+
+/**
+ * Typos forgiven in a free-text answer: none in short words, then one per
+ * four characters, up to two.
+ * @param {string} answer - A normalised answer
+ * @returns {number}
+ */
+function typoAllowance(answer) {
+  return Math.min(2, Math.floor([...answer].length / 4));
+}
+
+// ── Question Types ────────────────────────────────────────────
+// Each question in `quiz.questions` names one of these.
+//   instruction   — message ID of the default text shown under the question
+//   keepsResponse — leave the answer in place after a miss, so it can be corrected
+//   validate      — config checks for the question (returns problem strings)
+//   render        — build the answer controls; returns a function that reads
+//                   the response (null until there is one to check)
+//   isCorrect     — whether a response is right
+//   autoHint      — the hint used when the question doesn't have one
+
+const QuestionTypes = {
+  choice: {
+    instruction: 'quiz.choice',
+    keepsResponse: false,
+    validate(question, path) {
+      const problems = [];
+      const { options, answer } = question;
+      if (!Array.isArray(options) || options.length < 2 || !options.every(isText)) {
+        problems.push(`${path}.options must be an array of at least 2 strings.`);
+      } else if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+        problems.push(`${path}.answer must be the number of the right option, from 0 to ${options.length - 1}.`);
+      }
+      return problems;
+    },
+    render(question, container, onChange) {
+      question.options.forEach((option, i) => {
+        const label = document.createElement('label');
+        label.className = 'quiz-option';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'quiz-choice';
+        input.value = String(i);
+        input.addEventListener('change', onChange);
+
+        const text = document.createElement('span');
+        text.textContent = option;
+        label.append(input, text);
+        container.appendChild(label);
+      });
+      return () => {
+        const checked = container.querySelector('input:checked');
+        return checked ? Number(checked.value) : null;
+      };
+    },
+    isCorrect: (question, response) => response === question.answer,
+    autoHint(question) {
+      const wrong = question.options.filter((_, i) => i !== question.answer);
+      return t('quiz.notOption', { option: wrong[Math.floor(Math.random() * wrong.length)] });
+    },
+  },
+
+  text: {
+    instruction: 'quiz.text',
+    keepsResponse: true,
+    validate(question, path) {
+      const problems = [];
+      const answers = [].concat(question.answer);
+      if (answers.length === 0 || !answers.every(isText) || !answers.every((a) => normaliseAnswer(a))) {
+        problems.push(`${path}.answer must be the answer, or a non-empty array of accepted answers, with letters or numbers in each.`);
+      }
+      if (question.typos !== undefined && !(Number.isInteger(question.typos) && question.typos >= 0)) {
+        problems.push(`${path}.typos must be a whole number (0 or more) when present.`);
+      }
+      return problems;
+    },
+    render(question, container, onChange) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'quiz-text-input';
+      input.autocomplete = 'off';
+      input.spellcheck = false;
+      input.setAttribute('aria-labelledby', 'quiz-question');
+      input.placeholder = t('quiz.textPlaceholder');
+      input.addEventListener('input', onChange);
+      container.appendChild(input);
+      return () => (input.value.trim() ? input.value : null);
+    },
+    isCorrect(question, response) {
+      const guess = normaliseAnswer(response);
+      return [].concat(question.answer).some((answer) => {
+        const expected = normaliseAnswer(answer);
+        return editDistance(guess, expected) <= (question.typos ?? typoAllowance(expected));
+      });
+    },
+    autoHint(question) {
+      const [letter] = [...[].concat(question.answer)[0].trim()];
+      return t('quiz.startsWith', { letter: letter.toLocaleUpperCase(activeLocale) });
+    },
+  },
+
+  order: {
+    instruction: 'quiz.order',
+    keepsResponse: false,
+    validate(question, path) {
+      const { events } = question;
+      if (!Array.isArray(events) || events.length < 2 || !events.every(isText) ||
+          new Set(events).size !== events.length) {
+        return [`${path}.events must list at least 2 different events, in the order they happened.`];
+      }
+      return [];
+    },
+    render(question, container, onChange) {
+      const { events } = question;
+      // Never start out already in order
+      let shown;
+      do {
+        shown = shuffleArray(events.map((_, i) => i));
+      } while (shown.every((event, i) => event === i));
+
+      const picked = [];   // Event indices, in the order they were tapped
+      const sync = () => {
+        container.querySelectorAll('.quiz-event').forEach((btn) => {
+          const position = picked.indexOf(Number(btn.dataset.event));
+          btn.setAttribute('aria-pressed', String(position !== -1));
+          btn.querySelector('.quiz-event-order').textContent = position !== -1 ? (position + 1).toLocaleString(activeLocale) : '';
+        });
+      };
+
+      shown.forEach((event) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'quiz-event';
+        btn.dataset.event = event;
+
+        const order = document.createElement('span');
+        order.className = 'quiz-event-order';
+        order.setAttribute('aria-hidden', 'true');
+        const text = document.createElement('span');
+        text.textContent = events[event];
+        btn.append(order, text);
+
+        btn.addEventListener('click', () => {
+          const position = picked.indexOf(event);
+          if (position === -1) {
+            picked.push(event);
+          } else {
+            picked.splice(position, 1);
+          }
+          sync();
+          playSfx('toggle');
+          onChange();
+        });
+        container.appendChild(btn);
+      });
+      sync();
+      return () => (picked.length === events.length ? [...picked] : null);
+    },
+    isCorrect: (question, response) => response.every((event, i) => event === i),
+    autoHint: (question) => t('quiz.firstEvent', { event: question.events[0] }),
+  },
+};
+
+// ── Question State ────────────────────────────────────────────
+
+let quizQuestions = [];
+let quizQuestionIdx = 0;
+let quizFailures = [];              // Wrong answers, per question
+let quizScore = null;               // { correct, total } once the quiz is finished
+let readQuizResponse = () => null;  // Reads the current question's answer controls
+
+/**
+ * Show a question: its progress, text, instruction, hint and answer controls.
+ * @param {number} questionIdx
+ */
+function startQuizQuestion(questionIdx) {
+  quizQuestionIdx = questionIdx;
+  const question = quizQuestions[questionIdx];
+  const type = QuestionTypes[question.type];
+
+  quizProgress.textContent = quizQuestions.length > 1
+    ? t('quiz.progress', { number: questionIdx + 1, total: quizQuestions.length })
+    : '';
+  quizQuestion.textContent = question.question;
+  quizInstruction.textContent = question.instruction || t(type.instruction);
+  quizHint.textContent = question.hint || type.autoHint(question);
+  quizFeedback.classList.remove('visible', 'correct');
+  quizAnswer.classList.remove('switching');
+  updateQuizHint();
+
+  renderQuizAnswer();
+  saveSession();
+}
+
+/**
+ * Build fresh answer controls for the current question.
+ */
+function renderQuizAnswer() {
+  const question = quizQuestions[quizQuestionIdx];
+  quizAnswer.innerHTML = '';
+  quizAnswer.dataset.type = question.type;
+  readQuizResponse = QuestionTypes[question.type].render(question, quizAnswer, () => {
+    updateQuizCheck();
+    // Hide the last message once the answer changes
+    quizFeedback.classList.remove('visible');
+  });
+  updateQuizCheck();
+}
+
+/**
+ * Enable the check button once there is an answer to check (and the last
+ * miss has finished shaking, so it can't be counted twice).
+ */
+function updateQuizCheck() {
+  quizCheckBtn.disabled = readQuizResponse() === null || quizCard.classList.contains('shake');
+}
+
+/**
+ * Show the current question's hint once it has been missed often enough.
+ */
+function updateQuizHint() {
+  const hintAfter = experienceConfig.quiz.hintAfter ?? DEFAULT_QUIZ_HINT_AFTER;
+  quizHint.classList.toggle('visible', (quizFailures[quizQuestionIdx] || 0) >= hintAfter);
+}
+
+/**
+ * Check the answer to the current question.
+ * @param {SubmitEvent} e
+ */
+function checkQuizAnswer(e) {
+  e.preventDefault();
+  const response = readQuizResponse();
+  if (response === null || quizCheckBtn.disabled) return;
+
+  const question = quizQuestions[quizQuestionIdx];
+  const type = QuestionTypes[question.type];
+
+  if (type.isCorrect(question, response)) {
+    // ✅ Right → a cheer, then on to the next question (or stage)
+    const cheers = t('quiz.correct');
+    quizFeedback.textContent = cheers[Math.floor(Math.random() * cheers.length)];
+    quizFeedback.classList.add('visible', 'correct');
+    quizAnswer.classList.add('switching');
+    quizCheckBtn.disabled = true;
+    playSfx('correct');
+
+    if (quizQuestionIdx < quizQuestions.length - 1) {
+      Scheduler.after('quiz:next-question', 900, () => startQuizQuestion(quizQuestionIdx + 1), { group: Pages.QUIZ });
+    } else {
+      quizScore = {
+        correct: quizQuestions.filter((_, i) => !quizFailures[i]).length,
+        total: quizQuestions.length,
+      };
+      saveSession();
+      Scheduler.after('quiz:passed', 900, () => completeStage(Pages.QUIZ), { group: Pages.QUIZ });
+    }
+  } else {
+    // ❌ Wrong → shake + show error with escalating messages for this question
+    quizFailures[quizQuestionIdx] = (quizFailures[quizQuestionIdx] || 0) + 1;
+    quizCard.classList.add('shake');
+    updateQuizCheck();
+    playSfx('error');
+
+    const messages = question.errorMessages || experienceConfig.quiz.errorMessages || t('quiz.errors');
+    const msgIndex = Math.min(quizFailures[quizQuestionIdx] - 1, messages.length - 1);
+    quizFeedback.textContent = messages[msgIndex];
+    quizFeedback.classList.remove('correct');
+    quizFeedback.classList.add('visible');
+    updateQuizHint();
+    saveSession();
+
+    // After the shake, start the answer over (typed answers are kept to correct)
+    Scheduler.after('quiz:shake', 500, () => {
+      quizCard.classList.remove('shake');
+      if (type.keepsResponse) {
+        quizAnswer.querySelector('input').select();
+        updateQuizCheck();
+      } else {
+        renderQuizAnswer();
+      }
+    }, { group: Pages.QUIZ });
+  }
+}
+
+/**
+ * Put the quiz back to its first question and forget the score.
+ */
+function resetQuizStage() {
+  quizFailures = [];
+  quizScore = null;
+  quizCard.classList.remove('shake');
+  quizScoreText.classList.add('hidden');
+  if (quizQuestions.length) startQuizQuestion(0);
+}
+
+/**
+ * Show how the quiz went on the congrats page (nothing when it wasn't finished).
+ */
+function showQuizScore() {
+  quizScoreText.classList.toggle('hidden', !quizScore);
+  if (!quizScore) return;
+
+  const { correct, total } = quizScore;
+  quizScoreText.textContent = correct === total
+    ? t('quiz.perfectScore', { total })
+    : t('quiz.score', { correct, total });
+}
+
+quizCard.addEventListener('submit', checkQuizAnswer);
+
+// ================================================================
+//  PAGE 2 — PROPOSAL (Floating Hearts & "No" Button Behaviours)
+// ================================================================
+
+// ── Floating Hearts ───────────────────────────────────────────
+
+/**
+ * Spawn floating heart elements in the background.
+ * @param {HTMLElement} [container] - The page's hearts layer (the proposal's by default)
+ * @param {string} [group] - The page the spawning belongs to
+ */
+function startFloatingHearts(container = heartsContainer, group = Pages.PROPOSAL) {
+  if (reducedMotion || Scheduler.has('hearts')) return;
+
+  function spawnHeart() {
+    const heart = document.createElement('span');
+    heart.classList.add('floating-heart');
+    const { hearts } = activeTheme;
+    heart.textContent = hearts[Math.floor(Math.random() * hearts.length)];
+
+    // Random horizontal position
+    heart.style.left = Math.random() * 100 + '%';
+
+    // Random animation duration (6–14 seconds)
+    const duration = 6 + Math.random() * 8;
+    heart.style.animationDuration = duration + 's';
+
+    // Random delay
+    heart.style.animationDelay = Math.random() * 2 + 's';
+
+    // Random size
+    const size = 0.8 + Math.random() * 1.5;
+    heart.style.fontSize = size + 'rem';
+
+    // Remove after animation completes (see sweepHearts)
+    heart.dataset.expires = Scheduler.clock + (duration + 2) * 1000;
+    container.appendChild(heart);
+  }
+
+  // Spawn hearts periodically
+  Scheduler.every('hearts', 400, spawnHeart, { group });
+  Scheduler.every('hearts:sweep', 1000, sweepHearts, { group });
+
+  // Spawn a few immediately
+  for (let i = 0; i < 8; i++) {
+    Scheduler.after(`hearts:intro-${i}`, i * 200, spawnHeart, { group });
+  }
+}
+
+/**
+ * Remove hearts whose float animation has finished. Stops itself once
+ * spawning has stopped and the last heart is gone.
+ */
+function sweepHearts() {
+  document.querySelectorAll('.floating-heart').forEach((heart) => {
+    if (Number(heart.dataset.expires) <= Scheduler.clock) heart.remove();
+  });
+  if (!Scheduler.has('hearts') && !document.querySelector('.floating-heart')) {
+    Scheduler.cancel('hearts:sweep');
+  }
+}
+
+/**
+ * Stop spawning floating hearts. Hearts already on screen float away.
+ */
+function stopFloatingHearts() {
+  Scheduler.cancel('hearts');
+  for (let i = 0; i < 8; i++) Scheduler.cancel(`hearts:intro-${i}`);
+}
+
+// ── "No" Button Behaviours ────────────────────────────────────
+// The recipient going for "No" is handled by one of these strategies,
+// picked by `proposal.noButton.mode` in the config. Every attempt counts
+// towards `noEvadeAttempts`; once a strategy's `maxAttempts` is reached
+// the button is removed and the parting message shown.
+//   maxAttempts — attempts before the button gives up
+//   approach(e) — pointer moved (mouse/touch) while on the proposal page
+//   press(e)    — the button itself was clicked, tapped or keyed
+//   restore()   — re-apply the look for the current attempt count (after a reload)
+//   reset()     — undo everything the strategy changed
+//   moves       — the button changes position; replaced by guilt under reduced motion
+
+let noEvadeAttempts = 0;
+const MAX_EVADE_BEFORE_GONE = 8; // After this many evasions, button disappears
+let noButtonGone = false;
+
+const NoButtonStrategies = {
+  // Teleport away whenever the pointer gets close
+  evade: {
+    moves: true,
+    maxAttempts: () => MAX_EVADE_BEFORE_GONE,
+    approach: evadeNoButton,
+    press: () => registerNoAttempt() && teleportNoButton(),
+    restore() {},
+    reset() {
+      noBtn.style.left = '';
+      noBtn.style.top = '';
+      noBtn.classList.remove('evading');
+    },
+  },
+
+  // "No" gets smaller and "Yes" bigger with every click
+  shrink: {
+    maxAttempts: () => 6,
+    press() {
+      if (registerNoAttempt()) this.restore();
+    },
+    restore() {
+      proposalPage.style.setProperty('--no-scale', Math.max(0.35, 1 - noEvadeAttempts * 0.12));
+      proposalPage.style.setProperty('--yes-scale', 1 + noEvadeAttempts * 0.18);
+    },
+    reset() {
+      proposalPage.style.removeProperty('--no-scale');
+      proposalPage.style.removeProperty('--yes-scale');
+    },
+  },
+
+  // "No" trades places with "Yes" as soon as the pointer lands on it
+  swap: {
+    moves: true,
+    maxAttempts: () => MAX_EVADE_BEFORE_GONE,
+    lastSwap: 0,
+    approach(e) {
+      const { x, y } = pointerPosition(e);
+      const rect = noBtn.getBoundingClientRect();
+      const over = x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+      // Short cooldown so the swap can't immediately flip back under the same pointer
+      if (over && Date.now() - this.lastSwap > 300) this.press();
+    },
+    press() {
+      this.lastSwap = Date.now();
+      if (registerNoAttempt()) this.restore();
+    },
+    restore() {
+      const swapped = noEvadeAttempts % 2 === 1;
+      const [first, second] = swapped ? [noBtn, yesBtn] : [yesBtn, noBtn];
+      first.parentNode.insertBefore(first, second);
+    },
+    reset() {
+      yesBtn.parentNode.insertBefore(yesBtn, noBtn);
+    },
+  },
+
+  // Each click changes the caption to a guilt trip until they run out
+  guilt: {
+    maxAttempts: () => guiltCaptions().length + 1,
+    press() {
+      if (registerNoAttempt()) this.restore();
+    },
+    restore() {
+      if (noEvadeAttempts === 0) return;
+      const caption = guiltCaptions()[noEvadeAttempts - 1];
+      noBtn.textContent = caption;
+      noBtn.setAttribute('aria-label', caption);
+    },
+    reset() {
+      localise(noBtn, 'proposal.no');
+      localise(noBtn, 'proposal.noLabel', 'aria-label');
+    },
+  },
+};
+
+// The strategy in use (picked by selectNoButtonStrategy)
+let noButtonStrategy = NoButtonStrategies.evade;
+
+/**
+ * Use the configured No-button strategy, or guilt if that one moves the
+ * button and reduced motion is on. Safe to call mid-proposal.
+ */
+function selectNoButtonStrategy() {
+  const configured = NoButtonStrategies[experienceConfig?.proposal?.noButton?.mode || 'evade'];
+  const next = reducedMotion && configured.moves ? NoButtonStrategies.guilt : configured;
+  if (next === noButtonStrategy) return;
+
+  noButtonStrategy.reset();
+  noButtonStrategy = next;
+  if (!noButtonGone) noButtonStrategy.restore();
+}
+
+/**
+ * The guilt-trip captions from config, or the defaults.
+ * @returns {string[]}
+ */
+function guiltCaptions() {
+  return experienceConfig?.proposal?.noButton?.captions || t('proposal.guiltCaptions');
+}
+
+/**
+ * Count an attempt at "No", removing the button once the strategy gives up.
+ * @returns {boolean} Whether the button is still in play
+ */
+function registerNoAttempt() {
+  if (noButtonGone) return false;
+  noEvadeAttempts++;
+  playSfx('evade');
+
+  // After MAX attempts, remove the button entirely
+  if (noEvadeAttempts >= noButtonStrategy.maxAttempts()) {
+    removeNoButton();
+    saveSession();
+    return false;
+  }
+  saveSession();
+  return true;
+}
+
+/**
+ * Client coordinates of a mouse or touch event.
+ * @param {MouseEvent|TouchEvent} e
+ * @returns {{x: number, y: number}}
+ */
+function pointerPosition(e) {
+  const point = e.touches ? e.touches[0] : e;
+  return { x: point.clientX, y: point.clientY };
+}
+
+/**
+ * Move the "No" button to a random position away from the cursor.
+ * @param {MouseEvent|TouchEvent} e
  */
 function evadeNoButton(e) {
   if (noButtonGone) return;
 
-  const noBtnRect = noBtn.getBoundingClientRect();
-  const btnCenterX = noBtnRect.left + noBtnRect.width / 2;
-  const btnCenterY = noBtnRect.top + noBtnRect.height / 2;
+  const noBtnRect = noBtn.getBoundingClientRect();
+  const btnCenterX = noBtnRect.left + noBtnRect.width / 2;
+  const btnCenterY = noBtnRect.top + noBtnRect.height / 2;
+
+  const { x: clientX, y: clientY } = pointerPosition(e);
+  const distance = Math.hypot(clientX - btnCenterX, clientY - btnCenterY);
+
+  // Detection radius shrinks as attempts increase (gets harder)
+  const detectionRadius = Math.max(60, 120 - noEvadeAttempts * 5);
+
+  if (distance < detectionRadius && registerNoAttempt()) {
+    teleportNoButton();
+  }
+}
+
+/**
+ * Jump the "No" button to a random spot in the viewport that doesn't overlap "Yes".
+ */
+function teleportNoButton() {
+  const noBtnRect = noBtn.getBoundingClientRect();
+
+  // Make button evade
+  if (!noBtn.classList.contains('evading')) {
+    noBtn.classList.add('evading');
+  }
+
+  // Calculate new random position (within viewport, avoiding Yes button)
+  const padding = 20;
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const btnW = noBtnRect.width;
+  const btnH = noBtnRect.height;
+
+  const yesRect = yesBtn.getBoundingClientRect();
+
+  let newX, newY;
+  let attempts = 0;
+
+  do {
+    newX = padding + Math.random() * (vw - btnW - padding * 2);
+    newY = padding + Math.random() * (vh - btnH - padding * 2);
+    attempts++;
+  } while (
+    // Ensure it doesn't overlap with the Yes button
+    attempts < 50 &&
+    newX < yesRect.right + 30 &&
+    newX + btnW > yesRect.left - 30 &&
+    newY < yesRect.bottom + 30 &&
+    newY + btnH > yesRect.top - 30
+  );
+
+  // Speed up transition as attempts increase
+  const transitionSpeed = Math.max(150, 300 - noEvadeAttempts * 15);
+  noBtn.style.transition = `left ${transitionSpeed}ms cubic-bezier(0.68, -0.55, 0.265, 1.55), top ${transitionSpeed}ms cubic-bezier(0.68, -0.55, 0.265, 1.55)`;
+  noBtn.style.left = newX + 'px';
+  noBtn.style.top = newY + 'px';
+}
+
+/**
+ * Take the "No" button away for good and show the parting message.
+ * @param {Object} [options]
+ * @param {boolean} [options.animate=true] - Shrink it away rather than removing it at once.
+ */
+function removeNoButton({ animate = true } = {}) {
+  noButtonGone = true;
+
+  const showGoneMsg = () => {
+    noBtn.style.display = 'none';
+    noGoneMsg.textContent = experienceConfig?.proposal?.noButton?.goneMessage || t('proposal.goneMessage');
+    noGoneMsg.classList.add('visible');
+  };
+
+  if (!animate) {
+    showGoneMsg();
+    return;
+  }
+
+  noBtn.style.transition = 'transform 400ms ease, opacity 400ms ease';
+  noBtn.style.transform = 'scale(0)';
+  noBtn.style.opacity = '0';
+  Scheduler.after('no-button:gone', 400, showGoneMsg, { group: Pages.PROPOSAL });
+}
+
+// Track mouse movement for No button strategies (debounced)
+let lastEvadeCheck = 0;
+document.addEventListener('mousemove', (e) => {
+  if (currentPage !== Pages.PROPOSAL || noButtonGone) return;
+
+  const now = Date.now();
+  if (now - lastEvadeCheck < 50) return; // Debounce to 50ms
+  lastEvadeCheck = now;
+
+  noButtonStrategy.approach?.(e);
+});
+
+// Touch support for mobile
+document.addEventListener('touchmove', (e) => {
+  if (currentPage !== Pages.PROPOSAL || noButtonGone) return;
+  noButtonStrategy.approach?.(e);
+}, { passive: true });
+
+// React on touchstart (immediate reaction on mobile, and no ghost click)
+noBtn.addEventListener('touchstart', (e) => {
+  e.preventDefault();
+  noButtonStrategy.press(e);
+}, { passive: false });
+
+// Clicks and keyboard activation
+noBtn.addEventListener('click', (e) => noButtonStrategy.press(e));
+
+// ── Yes Button → Confetti + Transition ────────────────────────
+
+yesBtn.addEventListener('click', () => {
+  // Stop hearts
+  stopFloatingHearts();
+
+  // Launch confetti 🎉 from the button itself
+  launchConfetti('cannon', { origin: yesBtn });
+
+  // She said yes — remember it (this also unlocks deep links from now on)
+  saveAnswer('yes');
+
+  // Move on to the next stage after confetti launches
+  Scheduler.after('proposal:accepted', 1200, () => completeStage(Pages.PROPOSAL), { group: Pages.PROPOSAL });
+
+  // Stop confetti after a few seconds
+  Scheduler.after('confetti:stop', 5000, stopConfetti, { group: 'confetti' });
+});
+
+// ================================================================
+//  FIRST DATE — Picking a restaurant, an activity and a time
+// ================================================================
+// The optional `date` stage after the Yes. The config offers any of:
+//   restaurants — [{ name, location?, note? }] to pick one from
+//   activities  — the same, for what to do
+//   calendar    — { from, to, times, weekdays?, duration? } days and times to choose between
+// The choice is stored like the answer (it survives "Start over"), shown on
+// the congrats page, and can be saved to a calendar as an .ics file.
+
+const dateForm            = document.getElementById('date-form');
+const dateRestaurants     = document.getElementById('date-restaurants');
+const dateActivities      = document.getElementById('date-activities');
+const dateCalendar        = document.getElementById('date-calendar');
+const datePrevMonthBtn    = document.getElementById('date-prev-month');
+const dateNextMonthBtn    = document.getElementById('date-next-month');
+const dateMonthName       = document.getElementById('date-month-name');
+const dateWeekdays        = document.getElementById('date-weekdays');
+const dateDays            = document.getElementById('date-days');
+const dateTimes           = document.getElementById('date-times');
+const dateConfirmBtn      = document.getElementById('date-confirm-btn');
+const datePlan            = document.getElementById('date-plan');
+const datePlanList        = document.getElementById('date-plan-list');
+const dateIcsBtn          = document.getElementById('date-ics-btn');
+
+// How long the calendar event lasts when the config doesn't say (minutes)
+const DEFAULT_DATE_DURATION = 180;
+
+// The recipient's picks so far: option indices, a day and a "HH:MM" time
+let datePicks = { restaurant: null, activity: null, day: null, time: null };
+let dateMonth = null;   // First of the month the calendar shows
+
+/**
+ * The first of the month a date falls in.
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/**
+ * Whether a day can be picked: inside the calendar's range and on an allowed weekday.
+ * @param {Date} day
+ * @returns {boolean}
+ */
+function isDateDayOpen(day) {
+  const { calendar } = experienceConfig.date;
+  return day >= parsePhotoDate(calendar.from) && day <= parsePhotoDate(calendar.to) &&
+    (!calendar.weekdays || calendar.weekdays.includes(day.getDay()));
+}
+
+/**
+ * Build one radio list of options (restaurants or activities).
+ * @param {HTMLElement} container
+ * @param {string} kind - `restaurant` or `activity`
+ * @param {Object[]} options
+ */
+function buildDateOptions(container, kind, options) {
+  container.innerHTML = '';
+  options.forEach((option, i) => {
+    const label = document.createElement('label');
+    label.className = 'date-option';
+
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = `date-${kind}`;
+    input.value = String(i);
+    input.addEventListener('change', () => {
+      datePicks[kind] = i;
+      updateDateConfirm();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'date-option-name';
+    name.textContent = option.name;
+    label.append(input, name);
+
+    [option.location, option.note].filter(Boolean).forEach((text) => {
+      const detail = document.createElement('span');
+      detail.className = 'date-option-detail';
+      detail.textContent = text;
+      label.appendChild(detail);
+    });
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Draw the calendar for `dateMonth`: weekday initials, the days (only open
+ * ones can be picked) and, once a day is picked, its times.
+ */
+function renderDateCalendar() {
+  const { calendar } = experienceConfig.date;
+  const locale = new Intl.Locale(activeLocale);
+  const firstDay = (locale.getWeekInfo?.() || locale.weekInfo)?.firstDay ?? 1; // 1 = Monday … 7 = Sunday
+
+  dateMonthName.textContent = formatDate(dateMonth, { month: 'long', year: 'numeric' });
+  datePrevMonthBtn.disabled = dateMonth <= startOfMonth(parsePhotoDate(calendar.from));
+  dateNextMonthBtn.disabled = dateMonth >= startOfMonth(parsePhotoDate(calendar.to));
+
+  // A week of weekday initials, starting on the locale's first day
+  dateWeekdays.innerHTML = '';
+  for (let i = 0; i < 7; i++) {
+    const span = document.createElement('span');
+    span.textContent = formatDate(new Date(2024, 0, firstDay + i), { weekday: 'narrow' }); // 1 Jan 2024 was a Monday
+    dateWeekdays.appendChild(span);
+  }
+
+  dateDays.innerHTML = '';
+  const lead = (dateMonth.getDay() - firstDay + 7) % 7;
+  for (let i = 0; i < lead; i++) dateDays.appendChild(document.createElement('span'));
+
+  const daysInMonth = new Date(dateMonth.getFullYear(), dateMonth.getMonth() + 1, 0).getDate();
+  for (let d = 1; d <= daysInMonth; d++) {
+    const day = new Date(dateMonth.getFullYear(), dateMonth.getMonth(), d);
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'date-day';
+    btn.textContent = d.toLocaleString(activeLocale);
+    btn.setAttribute('aria-label', formatDate(day, { dateStyle: 'full' }));
+    btn.setAttribute('aria-pressed', String(datePicks.day?.getTime() === day.getTime()));
+    btn.disabled = !isDateDayOpen(day);
+    btn.addEventListener('click', () => {
+      datePicks.day = day;
+      datePicks.time = null;
+      renderDateCalendar();
+      updateDateConfirm();
+      dateTimes.querySelector('input')?.focus();
+    });
+    dateDays.appendChild(btn);
+  }
+
+  renderDateTimes();
+}
+
+/**
+ * List the times for the picked day.
+ */
+function renderDateTimes() {
+  dateTimes.innerHTML = '';
+  dateTimes.classList.toggle('hidden', !datePicks.day);
+  if (!datePicks.day) return;
+
+  dateTimes.setAttribute('aria-label', t('date.times', { day: formatDate(datePicks.day, { dateStyle: 'long' }) }));
+  experienceConfig.date.calendar.times.forEach((time) => {
+    const label = document.createElement('label');
+    label.className = 'date-time';
+
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'date-time';
+    input.value = time;
+    input.checked = datePicks.time === time;
+    input.addEventListener('change', () => {
+      datePicks.time = time;
+      updateDateConfirm();
+    });
+
+    const [hours, minutes] = time.split(':').map(Number);
+    const text = document.createElement('span');
+    text.textContent = formatDate(new Date(2024, 0, 1, hours, minutes), { timeStyle: 'short' });
+    label.append(input, text);
+    dateTimes.appendChild(label);
+  });
+}
+
+/**
+ * Move the calendar a month back or forward.
+ * @param {number} step - -1 or +1
+ */
+function shiftDateMonth(step) {
+  dateMonth = new Date(dateMonth.getFullYear(), dateMonth.getMonth() + step, 1);
+  renderDateCalendar();
+}
+
+/**
+ * Allow confirming once something is picked in every section on offer.
+ */
+function updateDateConfirm() {
+  const { restaurants, activities, calendar } = experienceConfig.date;
+  dateConfirmBtn.disabled =
+    (restaurants && datePicks.restaurant === null) ||
+    (activities && datePicks.activity === null) ||
+    (calendar && (!datePicks.day || !datePicks.time));
+}
+
+/**
+ * Set the date stage up from the config's `date` block.
+ * @param {Object} [date]
+ */
+function buildDateStage(date) {
+  if (!date) return;
+
+  dateRestaurants.classList.toggle('hidden', !date.restaurants);
+  dateActivities.classList.toggle('hidden', !date.activities);
+  dateCalendar.classList.toggle('hidden', !date.calendar);
+  if (date.restaurants) buildDateOptions(document.getElementById('date-restaurant-options'), 'restaurant', date.restaurants);
+  if (date.activities) buildDateOptions(document.getElementById('date-activity-options'), 'activity', date.activities);
+  resetDateStage();
+}
+
+/**
+ * Clear the picks and put the calendar back on its first month.
+ */
+function resetDateStage() {
+  const date = experienceConfig?.date;
+  if (!date) return;
+
+  datePicks = { restaurant: null, activity: null, day: null, time: null };
+  dateForm.querySelectorAll('input[type="radio"]').forEach((input) => { input.checked = false; });
+  if (date.calendar) {
+    dateMonth = startOfMonth(parsePhotoDate(date.calendar.from));
+    renderDateCalendar();
+  }
+  updateDateConfirm();
+}
+
+/**
+ * Record the picks and move on to the next stage.
+ * @param {SubmitEvent} e
+ */
+function confirmDate(e) {
+  e.preventDefault();
+  if (dateConfirmBtn.disabled) return;
+
+  const { restaurants, activities, calendar } = experienceConfig.date;
+  let start = null;
+  if (calendar) {
+    const [hours, minutes] = datePicks.time.split(':').map(Number);
+    const { day } = datePicks;
+    start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).toISOString();
+  }
+
+  writeStored(StorageKeys.DATE_PLAN, {
+    recipient: experienceConfig.recipient.name,
+    restaurant: restaurants ? restaurants[datePicks.restaurant] : null,
+    activity: activities ? activities[datePicks.activity] : null,
+    start,
+    duration: calendar?.duration || DEFAULT_DATE_DURATION,
+    savedAt: new Date().toISOString(),
+  });
+  playSfx('toggle');
+  completeStage(Pages.DATE);
+}
+
+/**
+ * The recipient's saved date plan, if they have picked one on this device.
+ * @returns {Object|null}
+ */
+function getSavedDatePlan() {
+  const plan = readStored(StorageKeys.DATE_PLAN);
+  if (!plan || !experienceConfig || plan.recipient !== experienceConfig.recipient.name) return null;
+  return plan;
+}
+
+/**
+ * Show the saved plan on the congrats page (nothing when there isn't one).
+ */
+function showDatePlan() {
+  const plan = getSavedDatePlan();
+  datePlan.classList.toggle('hidden', !plan);
+  if (!plan) return;
+
+  datePlanList.innerHTML = '';
+  const lines = [
+    plan.start && t('date.planWhen', {
+      when: formatDate(new Date(plan.start), { dateStyle: 'full', timeStyle: 'short' }),
+    }),
+    plan.restaurant && t('date.planRestaurant', { name: plan.restaurant.name }),
+    plan.activity && t('date.planActivity', { name: plan.activity.name }),
+  ];
+  lines.filter(Boolean).forEach((text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    datePlanList.appendChild(li);
+  });
+  dateIcsBtn.classList.toggle('hidden', !plan.start);
+}
+
+// ── Calendar Export (.ics) ────────────────────────────────────
+
+/**
+ * Escape text for an iCalendar property value.
+ * @param {string} text
+ * @returns {string}
+ */
+function icsText(text) {
+  return text.replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * A date as iCalendar local ("floating") time, e.g. `20260214T190000`.
+ * @param {Date} date
+ * @returns {string}
+ */
+function icsLocalTime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+/**
+ * Fold a content line at 75 octets, as iCalendar requires, without
+ * splitting a character.
+ * @param {string} line
+ * @returns {string}
+ */
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = '';
+      octets = 0;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+/**
+ * An iCalendar file with one event for the saved date plan.
+ * @param {Object} plan
+ * @returns {string}
+ */
+function buildDateIcs(plan) {
+  const start = new Date(plan.start);
+  const end = new Date(start.getTime() + plan.duration * 60000);
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const place = plan.restaurant || plan.activity;
+
+  const description = [
+    plan.restaurant && t('date.eventRestaurant', { name: plan.restaurant.name }),
+    plan.activity && t('date.eventActivity', { name: plan.activity.name }),
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//valentines-website//first date//EN',
+    'CALSCALE:GREGORIAN',
+    'BEGIN:VEVENT',
+    `UID:${start.getTime()}-${Math.random().toString(36).slice(2)}@valentines-website`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsLocalTime(start)}`,
+    `DTEND:${icsLocalTime(end)}`,
+    `SUMMARY:${icsText(t('date.eventTitle'))}`,
+    place && `LOCATION:${icsText([place.name, place.location].filter(Boolean).join(', '))}`,
+    description && `DESCRIPTION:${icsText(description)}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return `${lines.filter(Boolean).map(icsFold).join('\r\n')}\r\n`;
+}
+
+/**
+ * Download the saved plan as an .ics file for the recipient's calendar.
+ */
+function downloadDateIcs() {
+  const plan = getSavedDatePlan();
+  if (!plan?.start) return;
+
+  const blob = new Blob([buildDateIcs(plan)], { type: 'text/calendar;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'our-first-date.ics';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+dateForm.addEventListener('submit', confirmDate);
+datePrevMonthBtn.addEventListener('click', () => shiftDateMonth(-1));
+dateNextMonthBtn.addEventListener('click', () => shiftDateMonth(1));
+dateIcsBtn.addEventListener('click', downloadDateIcs);
+
+// ================================================================
+//  ENVELOPE INTERACTION
+// ================================================================
+
+let envelopeOpened = false;
+
+/**
+ * Handle clicking the envelope to reveal the love letter.
+ * @param {Object} [options]
+ * @param {boolean} [options.instant=false] - Skip the animations and typewriter (used when resuming).
+ */
+function openEnvelope({ instant = false } = {}) {
+  if (envelopeOpened) return;
+  envelopeOpened = true;
+  saveSession();
+
+  if (instant) {
+    envelopeWrapper.classList.add('opened', 'revealed');
+    envelopePrompt.classList.add('hidden');
+    showGallery();
+    showDatePlan();
+    messageCard.classList.add('revealing');
+    revealTypewriterLines();
+    replayBtn.classList.remove('hidden');
+    return;
+  }
+
+  // Step 1: Open the flap (3D rotation)
+  envelopeWrapper.classList.add('opened');
+  playSfx('envelope');
+
+  // Step 2: After flap opens, collapse the envelope and show the message
+  Scheduler.after('envelope:reveal', 900, () => {
+    // Hide the prompt text
+    envelopePrompt.classList.add('hidden');
+
+    // Collapse envelope out of the way
+    envelopeWrapper.classList.add('revealed');
+
+    // Reveal the message + gallery row (and the date they picked)
+    showGallery();
+    showDatePlan();
+    messageCard.classList.add('revealing');
+
+    // Start the typewriter effect after the card reveal animation
+    Scheduler.after('envelope:letter', 600, () => {
+      startTypewriter(() => {
+        // Callback: show replay button after typing finishes
+        replayBtn.classList.remove('hidden');
+        formConstellation();
+      });
+    }, { group: Pages.CONGRATS });
+  }, { group: Pages.CONGRATS });
+}
+
+// Click handler
+envelopeWrapper.addEventListener('click', () => openEnvelope());
+
+// Keyboard support (Enter/Space)
+envelopeWrapper.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    openEnvelope();
+  }
+});
+
+// ================================================================
+//  CONFETTI ENGINE — Particles with shapes, emitters and physics presets
+// ================================================================
+
+const ctx = confettiCanvas.getContext('2d');
+let confettiPieces = [];
+
+// Physics are in pixels per 60fps frame, so they read like the original tuning
+const FRAME_MS = 1000 / 60;
+
+// How long a piece takes to fade out once stopConfetti asks it to
+const CONFETTI_FADE_MS = 600;
+
+/**
+ * How a piece moves each frame: `gravity` pulls it down, `drag` bleeds off
+ * a share of its speed, `wind` pushes it sideways and `sway` scales its
+ * side-to-side flutter.
+ */
+const ConfettiPhysics = {
+  // The original fall: steady speed, no acceleration
+  drift:  { gravity: 0,    drag: 0,     wind: 0,    sway: 1 },
+  // Launched fast, slowed by the air, then pulled back down
+  cannon: { gravity: 0.22, drag: 0.025, wind: 0,    sway: 0.4 },
+  // Light pieces carried sideways by a breeze
+  breeze: { gravity: 0.03, drag: 0.01,  wind: 0.04, sway: 1.4 },
+};
+
+/**
+ * Piece shapes. `init` sets up anything a shape needs on a new piece;
+ * `draw` paints it centred on the origin (already moved and rotated).
+ */
+const ConfettiShapes = {
+  rect: {
+    draw(piece) {
+      ctx.fillStyle = piece.color;
+      ctx.fillRect(-piece.w / 2, -piece.h / 2, piece.w, piece.h);
+    },
+  },
+
+  circle: {
+    draw(piece) {
+      ctx.fillStyle = piece.color;
+      ctx.beginPath();
+      ctx.arc(0, 0, piece.w / 2, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  },
+
+  heart: {
+    draw(piece) {
+      const s = piece.w;
+      ctx.fillStyle = piece.color;
+      ctx.beginPath();
+      ctx.moveTo(0, s * 0.35);
+      ctx.bezierCurveTo(-s * 0.7, -s * 0.05, -s * 0.35, -s * 0.65, 0, -s * 0.25);
+      ctx.bezierCurveTo(s * 0.35, -s * 0.65, s * 0.7, -s * 0.05, 0, s * 0.35);
+      ctx.fill();
+    },
+  },
+
+  emoji: {
+    init(piece) {
+      const { emoji } = activeTheme.confetti;
+      piece.emoji = emoji[Math.floor(Math.random() * emoji.length)];
+      piece.w *= 1.8;
+    },
+    draw(piece) {
+      ctx.font = `${piece.w}px serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(piece.emoji, 0, 0);
+    },
+  },
+
+  // A streamer that ripples along its length as it falls
+  ribbon: {
+    init(piece) {
+      piece.h = 30 + Math.random() * 30;
+      piece.rotationSpeed /= 3;
+    },
+    draw(piece) {
+      ctx.strokeStyle = piece.color;
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      for (let i = 0; i <= 6; i++) {
+        const y = -piece.h / 2 + (piece.h * i) / 6;
+        const x = Math.sin(piece.phase * 3 + i * 0.9) * 4;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    },
+  },
+};
+
+/**
+ * Where new pieces appear and which way they set off. `origin` is a point
+ * in viewport pixels (cannon only).
+ */
+const ConfettiEmitters = {
+  // Falls in from above the whole width of the screen
+  rain: () => ({
+    x: Math.random() * confettiCanvas.width,
+    y: Math.random() * confettiCanvas.height - confettiCanvas.height,
+    velocityX: (Math.random() - 0.5) * 4,
+    velocityY: 1.5 + Math.random() * 3,
+  }),
+
+  // Fired upwards from a point in a cone `spread` degrees wide
+  cannon: ({ origin, angle = -90, spread = 70, power = 18 }) => {
+    const radians = ((angle + (Math.random() - 0.5) * spread) * Math.PI) / 180;
+    const speed = power * (0.5 + Math.random() * 0.5);
+    return {
+      x: origin.x,
+      y: origin.y,
+      velocityX: Math.cos(radians) * speed,
+      velocityY: Math.sin(radians) * speed,
+    };
+  },
+};
+
+/**
+ * Named effects. Each is a list of emissions: how many pieces, from which
+ * emitter, with what shapes and physics, and after what `delay`.
+ */
+const ConfettiPresets = {
+  // The classic two-wave shower of paper from the top of the screen
+  burst: [
+    { emitter: 'rain', count: 150, shapes: ['rect'], physics: 'drift' },
+    { emitter: 'rain', count: 80, shapes: ['rect'], physics: 'drift', delay: 400 },
+  ],
+
+  // Two blasts from the origin, then streamers and hearts drifting down
+  cannon: [
+    { emitter: 'cannon', count: 90, shapes: ['rect', 'circle', 'heart'], physics: 'cannon' },
+    { emitter: 'cannon', count: 50, shapes: ['rect', 'heart', 'emoji'], physics: 'cannon', delay: 250 },
+    { emitter: 'rain', count: 60, shapes: ['ribbon', 'heart', 'rect'], physics: 'drift', delay: 500 },
+  ],
+};
+
+// Emissions still waiting on their delay (scheduler task names)
+const pendingConfettiEmissions = new Set();
+let confettiEmissionCount = 0;
+
+/**
+ * Resize canvas to fill viewport.
+ */
+function resizeConfettiCanvas() {
+  confettiCanvas.width = window.innerWidth;
+  confettiCanvas.height = window.innerHeight;
+}
+
+window.addEventListener('resize', resizeConfettiCanvas);
+resizeConfettiCanvas();
+
+/**
+ * The middle of an element in viewport pixels, or the bottom centre of the
+ * screen when there is none.
+ * @param {HTMLElement|{x: number, y: number}} [origin]
+ * @returns {{x: number, y: number}}
+ */
+function confettiOrigin(origin) {
+  if (origin instanceof Element) {
+    const rect = origin.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+  return origin || { x: confettiCanvas.width / 2, y: confettiCanvas.height };
+}
+
+/**
+ * Create a single confetti piece.
+ * @param {Object} emission - One entry of a ConfettiPresets list
+ * @param {{x: number, y: number}} origin
+ * @returns {Object} Confetti piece configuration
+ */
+function createConfettiPiece(emission, origin) {
+  const shape = emission.shapes[Math.floor(Math.random() * emission.shapes.length)];
+  const { colors } = activeTheme.confetti;
+  const piece = {
+    ...ConfettiEmitters[emission.emitter]({ ...emission, origin }),
+    shape,
+    physics: ConfettiPhysics[emission.physics],
+    w: 6 + Math.random() * 8,
+    h: 4 + Math.random() * 6,
+    color: colors[Math.floor(Math.random() * colors.length)],
+    rotation: Math.random() * 360,
+    rotationSpeed: (Math.random() - 0.5) * 10,
+    oscillateAmplitude: Math.random() * 3,
+    oscillateSpeed: 0.02 + Math.random() * 0.03,
+    phase: Math.random() * Math.PI * 2,
+    opacity: 1,
+    fading: false,
+  };
+  ConfettiShapes[shape].init?.(piece);
+  return piece;
+}
+
+/**
+ * Add one emission's pieces to the canvas.
+ * @param {Object} emission
+ * @param {{x: number, y: number}} origin
+ */
+function emitConfetti(emission, origin) {
+  for (let i = 0; i < emission.count; i++) {
+    confettiPieces.push(createConfettiPiece(emission, origin));
+  }
+}
+
+/**
+ * Draw and animate all confetti pieces. Runs as the 'confetti' scheduler
+ * task until the last piece has fallen or faded.
+ * @param {number} dt - Milliseconds since the last frame
+ * @returns {boolean} Whether any pieces are left
+ */
+function animateConfetti(dt) {
+  const step = dt / FRAME_MS;
+  const { width, height } = confettiCanvas;
+  ctx.clearRect(0, 0, width, height);
+
+  confettiPieces.forEach((piece) => {
+    const { gravity, drag, wind, sway } = piece.physics;
+    const damping = Math.pow(1 - drag, step);
+
+    piece.velocityX = (piece.velocityX + wind * step) * damping;
+    piece.velocityY = (piece.velocityY + gravity * step) * damping;
+    piece.phase += piece.oscillateSpeed * step;
+    piece.x += (piece.velocityX + Math.sin(piece.phase) * piece.oscillateAmplitude * sway) * step;
+    piece.y += piece.velocityY * step;
+    piece.rotation += piece.rotationSpeed * step;
+
+    if (piece.fading) {
+      piece.opacity -= dt / CONFETTI_FADE_MS;
+    } else if (piece.y > height * 0.8) {
+      // Fade out near bottom
+      piece.opacity = Math.min(piece.opacity, 1 - (piece.y - height * 0.8) / (height * 0.2));
+    }
+
+    drawConfettiPiece(piece);
+  });
+
+  // Remove pieces that went off screen or faded away
+  confettiPieces = confettiPieces.filter(
+    (p) => p.y < height + 50 && p.x > -100 && p.x < width + 100 && p.opacity > 0.01
+  );
+
+  return confettiPieces.length > 0 || pendingConfettiEmissions.size > 0;
+}
+
+/**
+ * Draw one confetti piece at its current position.
+ * @param {Object} piece
+ */
+function drawConfettiPiece(piece) {
+  ctx.save();
+  ctx.translate(piece.x, piece.y);
+  ctx.rotate((piece.rotation * Math.PI) / 180);
+  ctx.globalAlpha = Math.max(0, piece.opacity);
+  ConfettiShapes[piece.shape].draw(piece);
+  ctx.restore();
+}
+
+/**
+ * Scatter a preset's pieces across the screen for a moment without
+ * animating them (the reduced-motion version of launchConfetti).
+ * @param {string} [preset]
+ */
+function showStaticConfetti(preset = 'burst') {
+  confettiPieces = [];
+  ctx.clearRect(0, 0, confettiCanvas.width, confettiCanvas.height);
+
+  const origin = confettiOrigin();
+  ConfettiPresets[preset].forEach((emission) => {
+    for (let i = 0; i < Math.round(emission.count / 2); i++) {
+      const piece = createConfettiPiece(emission, origin);
+      piece.x = Math.random() * confettiCanvas.width;
+      piece.y = Math.random() * confettiCanvas.height;
+      drawConfettiPiece(piece);
+    }
+  });
+
+  Scheduler.after('confetti:clear', 1200, () => {
+    ctx.clearRect(0, 0, confettiCanvas.width, confettiCanvas.height);
+  }, { group: 'confetti' });
+}
+
+/**
+ * Launch a confetti preset.
+ * @param {string} [preset] - A key of ConfettiPresets
+ * @param {{origin?: HTMLElement|{x: number, y: number}}} [options]
+ *   Where cannon emitters fire from (an element's centre, or a point)
+ */
+function launchConfetti(preset = 'burst', { origin } = {}) {
+  resizeConfettiCanvas();
+  playSfx('confetti');
+
+  if (reducedMotion) {
+    showStaticConfetti(preset);
+    return;
+  }
+
+  // Measure now, while the origin element is still on screen
+  const point = confettiOrigin(origin);
+  ConfettiPresets[preset].forEach((emission) => {
+    if (!emission.delay) {
+      emitConfetti(emission, point);
+      return;
+    }
+
+    const name = `confetti:emit-${++confettiEmissionCount}`;
+    pendingConfettiEmissions.add(name);
+    Scheduler.after(name, emission.delay, () => {
+      pendingConfettiEmissions.delete(name);
+      emitConfetti(emission, point);
+    }, { group: 'confetti' });
+  });
+
+  if (!Scheduler.has('confetti')) {
+    Scheduler.frame('confetti', animateConfetti, { group: 'confetti' });
+  }
+}
+
+/**
+ * Stop the confetti. By default no more pieces are added and the ones on
+ * screen fade out; `immediate` clears everything at once.
+ * @param {{immediate?: boolean}} [options]
+ */
+function stopConfetti({ immediate = false } = {}) {
+  pendingConfettiEmissions.forEach((name) => Scheduler.cancel(name));
+  pendingConfettiEmissions.clear();
+
+  if (immediate) {
+    Scheduler.cancelGroup('confetti');
+    confettiPieces = [];
+    ctx.clearRect(0, 0, confettiCanvas.width, confettiCanvas.height);
+    return;
+  }
+
+  confettiPieces.forEach((piece) => {
+    piece.fading = true;
+  });
+}
+
+// ================================================================
+//  STARFIELD ENGINE — Twinkling stars on congrats page
+// ================================================================
+
+const starCtx = starfieldCanvas.getContext('2d');
+let stars = [];
+let shootingStars = [];
+
+/**
+ * Parallax layers, far to near. `scroll` is how fast a layer moves with the
+ * page (1 = with the content), `pointer` how many pixels it leans towards
+ * the pointer, `radius` the range of star sizes.
+ */
+const STAR_LAYERS = [
+  { scroll: 0.3, pointer: 4,  radius: [0.4, 0.9] },
+  { scroll: 0.6, pointer: 10, radius: [0.6, 1.5] },
+  { scroll: 1,   pointer: 18, radius: [1, 2.2] },
+];
+
+// Where the pointer is, from -1 to 1 on each axis, and where it's heading
+const starPointer = { x: 0, y: 0, targetX: 0, targetY: 0 };
+
+// How long the stars take to move into the constellation
+const CONSTELLATION_MS = 2500;
+
+// The stars moved into the constellation ({ stars, lines, start }), and
+// whether it has been shown — kept across resizes, cleared on replay
+let constellation = null;
+let constellationFormed = false;
+
+/**
+ * Resize the starfield canvas to match its section.
+ */
+function resizeStarfield() {
+  starfieldCanvas.width = congratsPage.offsetWidth;
+  starfieldCanvas.height = congratsPage.scrollHeight;
+}
+
+/**
+ * Create the star array with randomized layers, positions, sizes, and twinkle speeds.
+ */
+function createStars() {
+  stars = [];
+  shootingStars = [];
+  constellation = null;
+  const count = Math.min(200, Math.floor((starfieldCanvas.width * starfieldCanvas.height) / 4000));
+
+  for (let i = 0; i < count; i++) {
+    // Most stars are far away
+    const layer = Math.random() < 0.5 ? 0 : Math.random() < 0.6 ? 1 : 2;
+    const [minRadius, maxRadius] = STAR_LAYERS[layer].radius;
+    stars.push({
+      layer,
+      x: Math.random() * starfieldCanvas.width,
+      y: Math.random() * starfieldCanvas.height,
+      radius: minRadius + Math.random() * (maxRadius - minRadius),
+      baseAlpha: 0.3 + Math.random() * 0.7,
+      alpha: 0,
+      twinkleSpeed: 0.005 + Math.random() * 0.02,
+      phase: Math.random() * Math.PI * 2,
+      // Some stars have a faint warm tint
+      hue: Math.random() > 0.7 ? 340 + Math.random() * 40 : 0,
+      saturation: Math.random() > 0.7 ? 30 + Math.random() * 40 : 0,
+      // Set while the star is part of the constellation
+      target: null,
+    });
+  }
+}
+
+/**
+ * The part of the canvas that's on screen, plus how far the page has scrolled.
+ * @returns {{top: number, bottom: number, scroll: number}}
+ */
+function visibleStarBand() {
+  const top = congratsPage.scrollTop;
+  return { top, bottom: top + congratsPage.clientHeight, scroll: top };
+}
+
+/**
+ * Where a star is drawn: shifted for its parallax layer, then pulled
+ * towards its place in the constellation.
+ * @param {Object} star
+ * @param {number} scroll
+ * @param {number} formed - Constellation progress, 0–1 (eased)
+ * @returns {{x: number, y: number}}
+ */
+function starPosition(star, scroll, formed) {
+  const layer = STAR_LAYERS[star.layer];
+  const x = star.x + starPointer.x * layer.pointer;
+  const y = (star.y + scroll * (1 - layer.scroll) + starPointer.y * layer.pointer) % starfieldCanvas.height;
+  if (!star.target) return { x, y };
+  return { x: x + (star.target.x - x) * formed, y: y + (star.target.y - y) * formed };
+}
+
+// ── Shooting stars ────────────────────────────────────────────
+
+/**
+ * Start a shooting star somewhere near the top of the visible band.
+ */
+function launchShootingStar() {
+  const band = visibleStarBand();
+  const direction = Math.random() < 0.5 ? 1 : -1;
+  const angle = (20 + Math.random() * 20) * (Math.PI / 180);
+  const speed = 12 + Math.random() * 6;
+  shootingStars.push({
+    x: starfieldCanvas.width * (0.15 + Math.random() * 0.7),
+    y: band.top + (band.bottom - band.top) * Math.random() * 0.4,
+    velocityX: Math.cos(angle) * speed * direction,
+    velocityY: Math.sin(angle) * speed,
+    length: 80 + Math.random() * 60,
+    life: 0,
+  });
+}
+
+/**
+ * Queue the next shooting star a few seconds from now.
+ */
+function scheduleShootingStar() {
+  Scheduler.after('starfield:shooting-star', 2500 + Math.random() * 6000, () => {
+    launchShootingStar();
+    scheduleShootingStar();
+  }, { group: Pages.CONGRATS });
+}
+
+/**
+ * Draw a shooting star as a streak that fades in, then out.
+ * @param {Object} meteor
+ */
+function drawShootingStar(meteor) {
+  const speed = Math.hypot(meteor.velocityX, meteor.velocityY);
+  const tailX = meteor.x - (meteor.velocityX / speed) * meteor.length;
+  const tailY = meteor.y - (meteor.velocityY / speed) * meteor.length;
+  const alpha = Math.sin(Math.PI * Math.min(1, meteor.life));
+
+  const streak = starCtx.createLinearGradient(meteor.x, meteor.y, tailX, tailY);
+  streak.addColorStop(0, `rgba(255, 255, 255, ${alpha})`);
+  streak.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  starCtx.strokeStyle = streak;
+  starCtx.lineWidth = 2;
+  starCtx.lineCap = 'round';
+  starCtx.beginPath();
+  starCtx.moveTo(meteor.x, meteor.y);
+  starCtx.lineTo(tailX, tailY);
+  starCtx.stroke();
+}
+
+// ── Constellation ─────────────────────────────────────────────
+
+/**
+ * Points around a heart outline, scaled to about -1…1.
+ * @param {number} count
+ * @returns {Array<{x: number, y: number}>}
+ */
+function heartPoints(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const t = (i / count) * Math.PI * 2;
+    return {
+      x: (16 * Math.sin(t) ** 3) / 17,
+      y: -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) / 17,
+    };
+  });
+}
+
+/**
+ * Points spread over short text (the couple's initials), scaled so the
+ * text is about 2 units wide.
+ * @param {string} text
+ * @param {number} count
+ * @returns {Array<{x: number, y: number}>}
+ */
+function textPoints(text, count) {
+  const width = 160;
+  const height = 60;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const textCtx = canvas.getContext('2d');
+  textCtx.font = '700 48px "Playfair Display", serif';
+  textCtx.textAlign = 'center';
+  textCtx.textBaseline = 'middle';
+  textCtx.fillText(text, width / 2, height / 2, width);
+
+  const pixels = textCtx.getImageData(0, 0, width, height).data;
+  const points = [];
+  for (let y = 0; y < height; y += 3) {
+    for (let x = 0; x < width; x += 3) {
+      if (pixels[(y * width + x) * 4 + 3] > 128) {
+        points.push({ x: (x - width / 2) / (width / 2), y: (y - height / 2) / (width / 2) });
+      }
+    }
+  }
+
+  // Thin out evenly to the number of stars available
+  if (points.length <= count) return points;
+  return Array.from({ length: count }, (_, i) => points[Math.floor((i * points.length) / count)]);
+}
+
+/**
+ * Move some stars into a heart, or the initials from `letter.constellation`,
+ * in the middle of the screen. Called once the letter has been typed.
+ * @param {{instant?: boolean}} [options] - Skip the animation (used when
+ *   the starfield restarts after the constellation was already shown)
+ */
+function formConstellation({ instant = false } = {}) {
+  const shape = experienceConfig?.letter?.constellation ?? 'heart';
+  if (shape === false) return;
+  constellationFormed = true;
+  if (!stars.length) return;
+
+  const count = Math.min(48, stars.length);
+  const points = shape === 'heart' ? heartPoints(count) : textPoints(shape.trim(), count);
+  if (!points.length) return;
+
+  const band = visibleStarBand();
+  const centreX = starfieldCanvas.width / 2;
+  const centreY = (band.top + band.bottom) / 2;
+  const scale = Math.min(starfieldCanvas.width, band.bottom - band.top) * 0.3;
+
+  // Borrow a random selection of stars, one for each point
+  const picked = [...stars].sort(() => Math.random() - 0.5).slice(0, points.length);
+  picked.forEach((star, i) => {
+    star.target = { x: centreX + points[i].x * scale, y: centreY + points[i].y * scale };
+  });
+
+  constellation = {
+    stars: picked,
+    // Only the heart is an outline worth joining up
+    lines: shape === 'heart',
+    start: instant || reducedMotion ? -Infinity : Scheduler.clock,
+  };
+
+  if (!Scheduler.has('starfield')) drawStars({ top: 0, bottom: starfieldCanvas.height, scroll: 0 });
+}
+
+/**
+ * How far the constellation has formed, eased, from 0 to 1.
+ * @returns {number}
+ */
+function constellationProgress() {
+  if (!constellation) return 0;
+  const t = Math.min(1, Math.max(0, (Scheduler.clock - constellation.start) / CONSTELLATION_MS));
+  return t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2;
+}
+
+// ── Drawing ───────────────────────────────────────────────────
+
+/**
+ * Draw the stars, the constellation and any shooting stars in a band of
+ * the canvas — only the part that's on screen is cleared and redrawn.
+ * @param {{top: number, bottom: number, scroll: number}} band
+ */
+function drawStars(band) {
+  const { width, height } = starfieldCanvas;
+  const formed = constellationProgress();
+  starCtx.clearRect(0, band.top, width, band.bottom - band.top);
+
+  // Faint lines joining the heart once it has mostly formed
+  if (constellation?.lines && formed > 0.6) {
+    starCtx.strokeStyle = activeTheme.colors.blush;
+    starCtx.globalAlpha = (formed - 0.6) * 0.5;
+    starCtx.lineWidth = 1;
+    starCtx.beginPath();
+    constellation.stars.forEach((star, i) => {
+      const { x, y } = starPosition(star, band.scroll, formed);
+      if (i === 0) starCtx.moveTo(x, y);
+      else starCtx.lineTo(x, y);
+    });
+    starCtx.closePath();
+    starCtx.stroke();
+    starCtx.globalAlpha = 1;
+  }
+
+  stars.forEach((star) => {
+    const { x, y } = starPosition(star, band.scroll, formed);
+    if (y < band.top - 10 || y > band.bottom + 10 || y > height) return;
+
+    // Constellation stars brighten as they arrive
+    const alpha = star.target ? Math.max(star.alpha, formed * 0.9) : star.alpha;
+
+    starCtx.beginPath();
+    starCtx.arc(x, y, star.radius, 0, Math.PI * 2);
+
+    if (star.saturation > 0) {
+      starCtx.fillStyle = `hsla(${star.hue}, ${star.saturation}%, 85%, ${alpha})`;
+    } else {
+      starCtx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
+    }
+
+    starCtx.fill();
+
+    // Glow effect for larger stars
+    if (star.radius > 1.2 || star.target) {
+      starCtx.beginPath();
+      starCtx.arc(x, y, star.radius * 2.5, 0, Math.PI * 2);
+      starCtx.fillStyle = `rgba(255, 255, 255, ${alpha * 0.12})`;
+      starCtx.fill();
+    }
+  });
+
+  shootingStars.forEach(drawShootingStar);
+}
+
+/**
+ * Advance and draw one frame (the 'starfield' scheduler task).
+ * @param {number} dt - Milliseconds since the last frame
+ */
+function animateStars(dt) {
+  const step = dt / FRAME_MS;
+
+  stars.forEach((star) => {
+    star.phase += star.twinkleSpeed * step;
+    star.alpha = star.baseAlpha * (0.5 + 0.5 * Math.sin(star.phase));
+  });
+
+  // Ease towards the pointer rather than jumping with it
+  const ease = Math.min(1, 0.05 * step);
+  starPointer.x += (starPointer.targetX - starPointer.x) * ease;
+  starPointer.y += (starPointer.targetY - starPointer.y) * ease;
+
+  shootingStars.forEach((meteor) => {
+    meteor.x += meteor.velocityX * step;
+    meteor.y += meteor.velocityY * step;
+    meteor.life += dt / 900;
+  });
+  shootingStars = shootingStars.filter((meteor) => meteor.life < 1);
+
+  drawStars(visibleStarBand());
+}
+
+/**
+ * Start the starfield animation.
+ */
+function startStarfield() {
+  if (Scheduler.has('starfield')) return;
+  resizeStarfield();
+  createStars();
+
+  if (reducedMotion) {
+    // Draw the stars once, each held at its brightest
+    stars.forEach((star) => {
+      star.twinkleSpeed = 0;
+      star.phase = Math.PI / 2;
+      star.alpha = star.baseAlpha;
+    });
+    if (constellationFormed) formConstellation({ instant: true });
+    drawStars({ top: 0, bottom: starfieldCanvas.height, scroll: 0 });
+    return;
+  }
+
+  Scheduler.frame('starfield', animateStars, { group: Pages.CONGRATS });
+  scheduleShootingStar();
+  if (constellationFormed) formConstellation({ instant: true });
+  if (!starfieldOnScreen) pauseStarfield(true);
+}
+
+/**
+ * Stop the starfield animation.
+ */
+function stopStarfield() {
+  Scheduler.cancel('starfield:start');
+  Scheduler.cancel('starfield');
+  Scheduler.cancel('starfield:shooting-star');
+  stars = [];
+  shootingStars = [];
+  constellation = null;
+  starCtx.clearRect(0, 0, starfieldCanvas.width, starfieldCanvas.height);
+}
+
+// ── Pausing off-screen ────────────────────────────────────────
+// A hidden tab already stops the scheduler; this covers the canvas being
+// scrolled or laid out out of view while the tab is showing.
+
+let starfieldOnScreen = true;
+
+/**
+ * Pause or resume the starfield's frame loop and shooting stars.
+ * @param {boolean} paused
+ */
+function pauseStarfield(paused) {
+  ['starfield', 'starfield:shooting-star'].forEach((name) => {
+    if (paused) Scheduler.pause(name);
+    else if (currentPage === Pages.CONGRATS) Scheduler.resume(name);
+  });
+}
+
+if ('IntersectionObserver' in window) {
+  new IntersectionObserver(([entry]) => {
+    starfieldOnScreen = entry.isIntersecting;
+    pauseStarfield(!starfieldOnScreen);
+  }).observe(starfieldCanvas);
+}
+
+window.addEventListener('pointermove', (e) => {
+  if (currentPage !== Pages.CONGRATS) return;
+  starPointer.targetX = (e.clientX / window.innerWidth) * 2 - 1;
+  starPointer.targetY = (e.clientY / window.innerHeight) * 2 - 1;
+});
+
+// Resize starfield when window resizes (debounced — each resize replaces the pending task)
+window.addEventListener('resize', () => {
+  Scheduler.after('starfield:resize', 250, () => {
+    if (stars.length) {
+      stopStarfield();
+      startStarfield();
+    }
+  });
+});
+
+// ================================================================
+//  TYPEWRITER EFFECT — Letter-by-letter message reveal
+// ================================================================
+
+// Original content of each line (a DOM fragment), captured when the letter is built
+// so the typewriter can copy from it and replay can restore it
+const typewriterOriginals = [];
+
+// Splits text into user-perceived characters, so emoji like ❤️ or 👩‍❤️‍👨 type as one
+const graphemeSegmenter = typeof Intl.Segmenter === 'function'
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// What to run once the letter is fully shown (kept so finishTypewriter can call it)
+let typewriterOnComplete = null;
+
+// The line being typed right now ({ finish }), and whether it was already skipped once
+let typewriterLine = null;
+let typewriterSkipped = false;
+
+const typewriterSkipBtn = document.getElementById('typewriter-skip-btn');
+
+// Milliseconds per character, and the extra pause after punctuation (`letter.speed`)
+const TypewriterSpeeds = {
+  slow:   { char: 55, pause: 200 },
+  normal: { char: 30, pause: 120 },
+  fast:   { char: 12, pause: 50 },
+};
+
+/**
+ * Build the letter's typewriter lines from config.
+ * @param {{paragraphs: string[], signature?: string}} letter
+ */
+function buildLetter(letter) {
+  messageCard.innerHTML = '';
+
+  letter.paragraphs.forEach((html) => {
+    const p = document.createElement('p');
+    p.classList.add('typewriter-line');
+    p.setAttribute('data-typewriter', '');
+    appendRichText(p, html);
+    messageCard.appendChild(p);
+  });
+
+  if (letter.signature) {
+    const divider = document.createElement('div');
+    divider.classList.add('divider', 'typewriter-line');
+    divider.setAttribute('data-typewriter-instant', '');
+    divider.innerHTML = '<span>💟</span>';
+    messageCard.appendChild(divider);
+
+    const signature = document.createElement('p');
+    signature.classList.add('signature', 'typewriter-line');
+    signature.setAttribute('data-typewriter', '');
+    signature.textContent = letter.signature;
+    messageCard.appendChild(signature);
+  }
+
+  typewriterOriginals.length = 0;
+  messageCard.querySelectorAll('.typewriter-line').forEach((line) => {
+    const content = document.createDocumentFragment();
+    content.append(...[...line.childNodes].map((node) => node.cloneNode(true)));
+    typewriterOriginals.push({
+      el: line,
+      content,
+      isInstant: line.hasAttribute('data-typewriter-instant'),
+    });
+  });
+}
+
+/**
+ * Type out the love letter paragraphs one by one. Each step is scheduled as
+ * the 'typewriter' task, so cancelling that one task stops the whole letter.
+ * @param {Function} onComplete - Callback when all lines are typed.
+ */
+function startTypewriter(onComplete) {
+  typewriterOnComplete = onComplete;
+  typewriterSkipped = false;
+  if (reducedMotion) {
+    finishTypewriter();
+    return;
+  }
+
+  typewriterSkipBtn.classList.remove('hidden');
+
+  // Clear all lines and prepare for typing
+  const lineData = typewriterOriginals.map((orig) => {
+    orig.el.replaceChildren();
+    orig.el.classList.add('typewriter-active');
+    return { ...orig };
+  });
+
+  let currentLineIdx = 0;
+
+  function typeNextLine() {
+    if (currentLineIdx >= lineData.length) {
+      // All done
+      finishTypewriter();
+      return;
+    }
+
+    const data = lineData[currentLineIdx];
+    currentLineIdx++;
+
+    if (data.isInstant) {
+      // Instant reveal (for dividers, etc.)
+      restoreTypewriterLine(data);
+      scheduleTypewriter(300, typeNextLine);
+      return;
+    }
+
+    typeLine(data.el, data.content, () => {
+      // Small pause between paragraphs
+      scheduleTypewriter(400, typeNextLine);
+    });
+  }
+
+  typeNextLine();
+}
+
+/**
+ * Queue the typewriter's next step.
+ * @param {number} delay - Milliseconds to wait
+ * @param {Function} fn
+ */
+function scheduleTypewriter(delay, fn) {
+  Scheduler.after('typewriter', delay, fn, { group: Pages.CONGRATS });
+}
+
+/**
+ * Split text into grapheme clusters (falls back to code points).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitGraphemes(text) {
+  if (!graphemeSegmenter) return Array.from(text);
+  return Array.from(graphemeSegmenter.segment(text), (part) => part.segment);
+}
+
+/**
+ * Copy `source` into `target` node by node, yielding after each grapheme
+ * is added. Elements are created empty as soon as they're reached, so
+ * markup like <em> wraps the text as it's typed.
+ * @param {Node} source
+ * @param {Node} target
+ * @yields {{grapheme: string, text: Text}} The grapheme just added and the text node it went into
+ */
+function* typewriterSteps(source, target) {
+  for (const node of source.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = document.createTextNode('');
+      target.appendChild(text);
+      for (const grapheme of splitGraphemes(node.data)) {
+        text.appendData(grapheme);
+        yield { grapheme, text };
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      const copy = node.cloneNode(false);
+      target.appendChild(copy);
+      yield* typewriterSteps(node, copy);
+    }
+  }
+}
+
+/**
+ * Type a line's content into its element one grapheme at a time.
+ * @param {HTMLElement} el - The target element
+ * @param {DocumentFragment} content - The line's original content
+ * @param {Function} onDone - Callback when done
+ */
+function typeLine(el, content, onDone) {
+  const steps = typewriterSteps(content, el);
+
+  // Create cursor
+  const cursor = document.createElement('span');
+  cursor.classList.add('typewriter-cursor');
+
+  const speed = TypewriterSpeeds[experienceConfig?.letter?.speed] || TypewriterSpeeds.normal;
+
+  function done() {
+    // Done typing this line — remove cursor
+    typewriterLine = null;
+    cursor.remove();
+    if (onDone) onDone();
+  }
+
+  function typeNext() {
+    const step = steps.next();
+    if (step.done) {
+      done();
+      return;
+    }
+
+    const { grapheme, text } = step.value;
+    text.after(cursor);
+    if (grapheme.trim()) playSfx('key');
+
+    // Variable speed: pause longer on punctuation
+    let delay = speed.char + Math.random() * 20;
+    if ('.!?,;:'.includes(grapheme)) {
+      delay += speed.pause;
+    }
+
+    scheduleTypewriter(delay, typeNext);
+  }
+
+  // Skipping jumps straight to the end of the line
+  typewriterLine = {
+    finish() {
+      steps.return();
+      restoreTypewriterLine({ el, content });
+      done();
+    },
+  };
+
+  el.replaceChildren(cursor);
+  scheduleTypewriter(200, typeNext);
+}
+
+/**
+ * Fast-forward the letter: the first skip finishes the line being typed
+ * (or, between lines, does nothing more), the next one shows the rest of
+ * the letter at once.
+ */
+function skipTypewriter() {
+  if (!typewriterOnComplete) return;
+
+  if (!typewriterSkipped) {
+    typewriterSkipped = true;
+    typewriterLine?.finish();
+  } else {
+    finishTypewriter();
+  }
+}
+
+// Tap the letter (or the skip button) to fast-forward
+messageCard.addEventListener('click', skipTypewriter);
+typewriterSkipBtn.addEventListener('click', skipTypewriter);
+
+/**
+ * Put a line's original content back.
+ * @param {{el: HTMLElement, content: DocumentFragment}} line
+ */
+function restoreTypewriterLine({ el, content }) {
+  el.replaceChildren(content.cloneNode(true));
+}
+
+/**
+ * Show every line of the letter at once, without typing.
+ */
+function revealTypewriterLines() {
+  typewriterOriginals.forEach((orig) => {
+    restoreTypewriterLine(orig);
+    orig.el.classList.add('typewriter-active');
+  });
+}
+
+/**
+ * Stop typing, show the whole letter and run the completion callback.
+ */
+function finishTypewriter() {
+  Scheduler.cancel('typewriter');
+  typewriterLine = null;
+  typewriterSkipBtn.classList.add('hidden');
+  revealTypewriterLines();
+
+  const onComplete = typewriterOnComplete;
+  typewriterOnComplete = null;
+  if (onComplete) onComplete();
+}
+
+/**
+ * Stop any running typewriter and restore all lines to their original state.
+ */
+function resetTypewriter() {
+  Scheduler.cancel('typewriter');
+  typewriterOnComplete = null;
+  typewriterLine = null;
+  typewriterSkipBtn.classList.add('hidden');
+
+  // Restore original content and hide all lines
+  typewriterOriginals.forEach((orig) => {
+    restoreTypewriterLine(orig);
+    orig.el.classList.remove('typewriter-active');
+  });
+}
+
+// ================================================================
+//  PHOTO DETAILS — Captions, dates (from config or EXIF) and places
+// ================================================================
+
+// EXIF tags that can hold when a photo was taken, best first
+const EXIF_DATE_TAGS = [0x9003, 0x9004, 0x0132]; // DateTimeOriginal, DateTimeDigitized, DateTime
+const EXIF_IFD_POINTER = 0x8769;
+
+/**
+ * Parse a config photo date. Plain `YYYY-MM-DD` dates are read as local
+ * days (not UTC midnight) so they don't shift a day in western timezones.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parsePhotoDate(value) {
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// How much of a photo is read looking for its EXIF block
+const EXIF_PROBE_BYTES = 128 * 1024;
+
+/**
+ * Find when a JPEG was taken from its EXIF data.
+ * @param {ArrayBuffer} buffer - The start of the file (the EXIF block sits near the top)
+ * @returns {Date|null}
+ */
+function readExifDate(buffer) {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xFFD8) return null; // Not a JPEG
+
+    // Walk the JPEG segments looking for APP1 "Exif\0\0"
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null; // Image data starts
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        return readTiffDate(view, offset + 10);
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // Truncated or malformed — treat as undated
+  }
+  return null;
+}
+
+/**
+ * Read the capture date out of an EXIF TIFF block.
+ * @param {DataView} view
+ * @param {number} tiff - Offset of the TIFF header
+ * @returns {Date|null}
+ */
+function readTiffDate(view, tiff) {
+  const little = view.getUint16(tiff) === 0x4949; // "II" = Intel byte order
+  const u16 = (at) => view.getUint16(tiff + at, little);
+  const u32 = (at) => view.getUint32(tiff + at, little);
+
+  // Collect an IFD's entries as tag → value/offset field
+  const readIfd = (at) => {
+    const entries = new Map();
+    const count = u16(at);
+    for (let i = 0; i < count; i++) {
+      const entry = at + 2 + i * 12;
+      entries.set(u16(entry), { count: u32(entry + 4), value: u32(entry + 8) });
+    }
+    return entries;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exifPointer = ifd0.get(EXIF_IFD_POINTER);
+  const exif = exifPointer ? readIfd(exifPointer.value) : new Map();
+
+  for (const tag of EXIF_DATE_TAGS) {
+    const entry = exif.get(tag) || ifd0.get(tag);
+    if (!entry || entry.count < 19) continue;
+
+    // "YYYY:MM:DD HH:MM:SS"
+    const text = String.fromCharCode(
+      ...new Uint8Array(view.buffer, view.byteOffset + tiff + entry.value, 19)
+    );
+    const parts = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(text);
+    if (!parts || parts[1] === '0000') continue;
+    const [, y, mo, d, h, mi, s] = parts.map(Number);
+    return new Date(y, mo - 1, d, h, mi, s);
+  }
+  return null;
+}
+
+/**
+ * A photo's capture date from its EXIF data, or null if it can't be read.
+ * Only the first 128 KB is downloaded: servers that don't honour the Range
+ * header send the whole file, which is cut off once that much has arrived.
+ * @param {string} src
+ * @returns {Promise<Date|null>}
+ */
+async function fetchExifDate(src) {
+  try {
+    const response = await fetch(src, { headers: { Range: `bytes=0-${EXIF_PROBE_BYTES - 1}` } });
+    if (!response.ok) return null;
+    return readExifDate(await readFirstBytes(response, EXIF_PROBE_BYTES));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the start of a response body, cancelling the rest of the download.
+ * @param {Response} response
+ * @param {number} limit - Bytes wanted
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readFirstBytes(response, limit) {
+  if (!response.body) return (await response.arrayBuffer()).slice(0, limit);
+
+  const reader = response.body.getReader();
+  const bytes = new Uint8Array(limit);
+  let length = 0;
+  while (length < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const chunk = value.subarray(0, limit - length);
+    bytes.set(chunk, length);
+    length += chunk.length;
+  }
+  reader.cancel().catch(() => {});
+  return bytes.buffer.slice(0, length);
+}
+
+/**
+ * Format a date the way the config writes it (`YYYY-MM-DD`, local day).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toConfigDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The one-line description of a photo: caption · place · date.
+ * @param {{caption?: string, location?: string}} photo
+ * @param {Date|null} date
+ * @returns {string}
+ */
+function describePhoto(photo, date) {
+  return [photo.caption, photo.location, date && formatDate(date, { dateStyle: 'medium' })]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// ================================================================
+//  DUAL SIDE GALLERIES — Crossfade photo slideshows
+// ================================================================
+
+const messageGalleryRow = document.getElementById('message-gallery-row');
+const galleryLeftTrack  = document.getElementById('gallery-left-track');
+const galleryRightTrack = document.getElementById('gallery-right-track');
+
+let leftSlideIdx  = 0;
+let rightSlideIdx = 0;
+
+// Every gallery photo in config order; slides point into this by index
+let galleryPhotos = [];
+
+// When each photo was taken (config date, else EXIF, else null), once loaded
+let galleryPhotoDates = [];
+let galleryDatesLoading = null;
+
+// Why each side's auto-play is paused ('hover', 'focus', 'lightbox', 'timeline', 'keepsake'); it runs when empty
+const galleryHolds = { left: new Set(), right: new Set() };
+
+const SWIPE_THRESHOLD = 40; // px of horizontal travel that counts as a swipe
+
+// Bumped on every slide switch so a slow decode can't overtake a newer one
+const gallerySwitches = { left: 0, right: 0 };
+
+/**
+ * Fill both side-gallery tracks from the config photos: the first half
+ * goes on the left, the rest on the right. Empty tracks are hidden.
+ * @param {Array<{src: string, alt?: string, caption?: string, date?: string, location?: string}>} photos
+ */
+function buildSideGalleries(photos) {
+  galleryPhotos = photos;
+  galleryPhotoDates = photos.map((photo) => (photo.date ? parsePhotoDate(photo.date) : null));
+  galleryDatesLoading = null;
+  const splitAt = Math.ceil(photos.length / 2);
+  const halves = [
+    [galleryLeftTrack, photos.slice(0, splitAt), 0],
+    [galleryRightTrack, photos.slice(splitAt), splitAt],
+  ];
+
+  halves.forEach(([track, trackPhotos, offset]) => {
+    track.innerHTML = '';
+    track.closest('.side-gallery').hidden = trackPhotos.length === 0;
+
+    trackPhotos.forEach((photo, i) => {
+      const slide = document.createElement('div');
+      slide.classList.add('side-gallery-slide');
+      slide.dataset.photoIdx = offset + i;
+      if (i === 0) slide.classList.add('active');
+
+      const img = document.createElement('img');
+      img.alt = photo.alt || photo.caption || t('gallery.photoAlt');
+      img.loading = 'lazy';
+      img.draggable = false;
+      applyImageSources(img, photo, GALLERY_IMAGE_SIZES);
+      applyPlaceholder(slide, photo);
+
+      const caption = document.createElement('p');
+      caption.classList.add('side-gallery-caption');
+
+      slide.append(img, caption);
+      track.appendChild(slide);
+    });
+  });
+
+  refreshGalleryCaptions();
+}
+
+/**
+ * Start loading each gallery's first photo, which is on show as soon as
+ * the gallery is, and the second, which is next up.
+ */
+function loadFirstSlides() {
+  [galleryLeftTrack, galleryRightTrack].forEach((track) => {
+    const slides = track.querySelectorAll('.side-gallery-slide');
+    if (slides[0]) revealWhenDecoded(slides[0], slides[0].querySelector('img'));
+    if (slides[1]) decodeImage(slides[1].querySelector('img'));
+  });
+}
+
+/**
+ * Fill in each slide's caption overlay from its photo's details.
+ */
+function refreshGalleryCaptions() {
+  document.querySelectorAll('.side-gallery-slide').forEach((slide) => {
+    const idx = Number(slide.dataset.photoIdx);
+    const caption = slide.querySelector('.side-gallery-caption');
+    caption.textContent = describePhoto(galleryPhotos[idx], galleryPhotoDates[idx]);
+    caption.hidden = !caption.textContent;
+  });
+}
+
+/**
+ * Read EXIF dates for photos that don't have one in the config. Runs once,
+ * when the gallery is first shown, then refreshes the captions.
+ * @returns {Promise<void>}
+ */
+function loadGalleryDates() {
+  if (!galleryDatesLoading) {
+    const photos = galleryPhotos;
+    galleryDatesLoading = Promise.all(photos.map((photo, i) => (
+      galleryPhotoDates[i] ? null : fetchExifDate(photo.src).then((date) => {
+        if (galleryPhotos === photos) galleryPhotoDates[i] = date;
+      })
+    ))).then(() => {
+      if (galleryPhotos === photos) refreshGalleryCaptions();
+    });
+  }
+  return galleryDatesLoading;
+}
+
+/**
+ * Crossfade one side gallery to a given slide. The slide only becomes
+ * active once its image has decoded; until then the current one stays up.
+ * @param {'left'|'right'} side - Which gallery
+ * @param {number} idx - Slide index (wraps around)
+ */
+function showSideGallerySlide(side, idx) {
+  const track = side === 'left' ? galleryLeftTrack : galleryRightTrack;
+  if (!track) return;
+
+  const slides = track.querySelectorAll('.side-gallery-slide');
+  if (slides.length === 0) return;
+
+  // Store index straight away so quick presses keep stepping from it
+  idx = (idx + slides.length) % slides.length;
+  if (side === 'left') leftSlideIdx = idx;
+  else rightSlideIdx = idx;
+
+  const slide = slides[idx];
+  const switchId = ++gallerySwitches[side];
+  revealWhenDecoded(slide, slide.querySelector('img')).then(() => {
+    // A later switch (or a reset) has taken over
+    if (switchId !== gallerySwitches[side]) return;
+
+    track.querySelector('.side-gallery-slide.active')?.classList.remove('active');
+    slide.classList.add('active');
+
+    // Have the one after ready in time
+    decodeImage(slides[(idx + 1) % slides.length].querySelector('img'));
+  });
+}
+
+/**
+ * Move one side gallery forwards or backwards with crossfade.
+ * @param {'left'|'right'} side - Which gallery
+ * @param {number} [step=1] - Slides to move (negative goes back)
+ */
+function advanceSideGallery(side, step = 1) {
+  const idx = side === 'left' ? leftSlideIdx : rightSlideIdx;
+  showSideGallerySlide(side, idx + step);
+}
+
+/**
+ * (Re)start one side gallery's auto-play, staying paused if it's held.
+ * @param {'left'|'right'} side
+ * @param {number} [delay=4000] - Milliseconds before the first advance
+ */
+function startSideGallery(side, delay = 4000) {
+  const name = `gallery:${side}`;
+  Scheduler.every(name, 4000, () => advanceSideGallery(side), { group: Pages.CONGRATS, delay });
+  if (galleryHolds[side].size) Scheduler.pause(name);
+}
+
+/**
+ * Start auto-play for both side galleries.
+ * Staggered timing: left every 4s, right every 4s offset by 2s.
+ */
+function startSideGalleries() {
+  startSideGallery('left');
+
+  // Stagger the right gallery by 2 seconds
+  startSideGallery('right', 6000);
+}
+
+/**
+ * Stop auto-play for both galleries.
+ */
+function stopSideGalleries() {
+  Scheduler.cancel('gallery:left');
+  Scheduler.cancel('gallery:right');
+}
+
+/**
+ * Pause or release one side's auto-play for a reason; it only runs again
+ * once every reason has been released.
+ * @param {'left'|'right'} side
+ * @param {string} reason
+ * @param {boolean} held
+ */
+function holdSideGallery(side, reason, held) {
+  const holds = galleryHolds[side];
+  if (held) holds.add(reason);
+  else holds.delete(reason);
+
+  const name = `gallery:${side}`;
+  if (holds.size) {
+    Scheduler.pause(name);
+  } else if (currentPage === Pages.CONGRATS) {
+    Scheduler.resume(name);
+  }
+}
+
+/**
+ * Browse a side gallery by hand, then give the viewer a full interval
+ * before auto-play moves it again.
+ * @param {'left'|'right'} side
+ * @param {number} step
+ */
+function stepSideGallery(side, step) {
+  advanceSideGallery(side, step);
+  if (Scheduler.has(`gallery:${side}`)) startSideGallery(side);
+}
+
+/**
+ * The config index of the photo a side gallery is showing.
+ * @param {'left'|'right'} side
+ * @returns {number}
+ */
+function activeGalleryPhoto(side) {
+  const track = side === 'left' ? galleryLeftTrack : galleryRightTrack;
+  return Number(track.querySelector('.side-gallery-slide.active')?.dataset.photoIdx ?? -1);
+}
+
+/**
+ * Hover/focus pausing, arrow keys, swipes and tap-to-enlarge for one gallery.
+ * @param {'left'|'right'} side
+ * @param {HTMLElement} track
+ */
+function wireSideGallery(side, track) {
+  track.addEventListener('mouseenter', () => holdSideGallery(side, 'hover', true));
+  track.addEventListener('mouseleave', () => holdSideGallery(side, 'hover', false));
+  // Only keyboard focus holds it: a click or tap focuses the track too, and
+  // that focus outlives the pointer (and comes back when the lightbox closes)
+  track.addEventListener('focusin', () => {
+    if (track.matches(':focus-visible')) holdSideGallery(side, 'focus', true);
+  });
+  track.addEventListener('focusout', () => holdSideGallery(side, 'focus', false));
+
+  track.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      stepSideGallery(side, inlineStep(e.key === 'ArrowRight' ? 1 : -1));
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openLightbox(activeGalleryPhoto(side));
+    }
+  });
+
+  // A horizontal swipe browses; a tap that barely moves opens the lightbox
+  let start = null;
+  track.addEventListener('pointerdown', (e) => {
+    start = { x: e.clientX, y: e.clientY };
+  });
+  track.addEventListener('pointerup', (e) => {
+    if (!start) return;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    start = null;
+
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      stepSideGallery(side, inlineStep(dx < 0 ? 1 : -1));
+    } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+      openLightbox(activeGalleryPhoto(side));
+    }
+  });
+  track.addEventListener('pointercancel', () => {
+    start = null;
+  });
+}
+
+wireSideGallery('left', galleryLeftTrack);
+wireSideGallery('right', galleryRightTrack);
+
+/**
+ * Show the message + gallery row with animation.
+ */
+function showGallery() {
+  messageGalleryRow.classList.remove('hidden');
+  timelineBtn.classList.toggle('hidden', galleryPhotos.length === 0);
+  keepsakeBtn.classList.remove('hidden');
+  loadFirstSlides();
+  startSideGalleries();
+  loadGalleryDates();
+}
+
+/**
+ * Reset gallery to initial hidden state.
+ */
+function resetGallery() {
+  closeLightbox();
+  closeTimeline();
+  closeKeepsake();
+  stopSideGalleries();
+  messageGalleryRow.classList.add('hidden');
+  timelineBtn.classList.add('hidden');
+  keepsakeBtn.classList.add('hidden');
+
+  // Reset both galleries to first slide
+  [galleryLeftTrack, galleryRightTrack].forEach((track) => {
+    if (!track) return;
+    const slides = track.querySelectorAll('.side-gallery-slide');
+    slides.forEach((s, i) => s.classList.toggle('active', i === 0));
+  });
+  leftSlideIdx = 0;
+  rightSlideIdx = 0;
+  gallerySwitches.left++;
+  gallerySwitches.right++;
+}
+
+// ================================================================
+//  PHOTO LIGHTBOX — Full-screen gallery viewer with pinch-zoom
+// ================================================================
+
+const lightbox            = document.getElementById('lightbox');
+const lightboxStage       = document.getElementById('lightbox-stage');
+const lightboxImg         = document.getElementById('lightbox-img');
+const lightboxCaptionText = document.getElementById('lightbox-caption-text');
+const lightboxCounter     = document.getElementById('lightbox-counter');
+const lightboxCloseBtn    = document.getElementById('lightbox-close');
+const lightboxPrevBtn     = document.getElementById('lightbox-prev');
+const lightboxNextBtn     = document.getElementById('lightbox-next');
 
-  let clientX, clientY;
-  if (e.touches) {
-    clientX = e.touches[0].clientX;
-    clientY = e.touches[0].clientY;
-  } else {
-    clientX = e.clientX;
-    clientY = e.clientY;
-  }
+const LIGHTBOX_MAX_ZOOM = 4;
 
-  const distance = Math.hypot(clientX - btnCenterX, clientY - btnCenterY);
+let lightboxIdx = -1; // Config index of the photo on show; -1 while closed
+let lightboxReturnFocus = null;
 
-  // Detection radius shrinks as attempts increase (gets harder)
-  const detectionRadius = Math.max(60, 120 - noEvadeAttempts * 5);
+// Zoom and pan of the current photo, and the pointers currently on it
+const lightboxZoom = { scale: 1, x: 0, y: 0 };
+const lightboxPointers = new Map();
+let lightboxGesture = null;
 
-  if (distance < detectionRadius) {
-    noEvadeAttempts++;
+/**
+ * Open the lightbox on a gallery photo and pause both side galleries.
+ * @param {number} idx - Index into the config gallery photos
+ */
+function openLightbox(idx) {
+  if (idx < 0 || idx >= galleryPhotos.length) return;
 
-    // After MAX attempts, remove the button entirely
-    if (noEvadeAttempts >= MAX_EVADE_BEFORE_GONE) {
-      noBtn.style.transition = 'transform 400ms ease, opacity 400ms ease';
-      noBtn.style.transform = 'scale(0)';
-      noBtn.style.opacity = '0';
-      noButtonGone = true;
+  if (lightboxIdx < 0) {
+    lightboxReturnFocus = document.activeElement;
+    holdSideGallery('left', 'lightbox', true);
+    holdSideGallery('right', 'lightbox', true);
+  }
 
-      setTimeout(() => {
-        noBtn.style.display = 'none';
-        noGoneMsg.textContent = 'Feck Aff...';
-        noGoneMsg.classList.add('visible');
-      }, 400);
+  lightbox.classList.remove('hidden');
+  showLightboxPhoto(idx);
+  lightboxCloseBtn.focus();
+}
 
-      return;
-    }
+/**
+ * Close the lightbox and let the side galleries carry on.
+ */
+function closeLightbox() {
+  if (lightboxIdx < 0) return;
+
+  lightboxIdx = -1;
+  lightbox.classList.add('hidden');
+  lightboxPointers.clear();
+  lightboxGesture = null;
+
+  holdSideGallery('left', 'lightbox', false);
+  holdSideGallery('right', 'lightbox', false);
+  lightboxReturnFocus?.focus?.();
+  lightboxReturnFocus = null;
+}
 
-    // Make button evade
-    if (!noBtn.classList.contains('evading')) {
-      noBtn.classList.add('evading');
-    }
+/**
+ * Show a photo in the open lightbox.
+ * @param {number} idx - Index into the config gallery photos (wraps around)
+ */
+function showLightboxPhoto(idx) {
+  const count = galleryPhotos.length;
+  lightboxIdx = (idx + count) % count;
+  const photo = galleryPhotos[lightboxIdx];
 
-    // Calculate new random position (within viewport, avoiding Yes button)
-    const padding = 20;
-    const vw = window.innerWidth;
-    const vh = window.innerHeight;
-    const btnW = noBtnRect.width;
-    const btnH = noBtnRect.height;
+  applyImageSources(lightboxImg, photo, '100vw');
+  lightboxImg.alt = photo.alt || photo.caption || t('gallery.photoAlt');
+  lightboxCaptionText.textContent = describePhoto(photo, galleryPhotoDates[lightboxIdx]);
+  lightboxCounter.textContent = t('lightbox.counter', { number: lightboxIdx + 1, total: count });
 
-    const yesRect = yesBtn.getBoundingClientRect();
+  const single = count < 2;
+  lightboxPrevBtn.hidden = single;
+  lightboxNextBtn.hidden = single;
 
-    let newX, newY;
-    let attempts = 0;
+  resetLightboxZoom();
+}
 
-    do {
-      newX = padding + Math.random() * (vw - btnW - padding * 2);
-      newY = padding + Math.random() * (vh - btnH - padding * 2);
-      attempts++;
-    } while (
-      // Ensure it doesn't overlap with the Yes button
-      attempts < 50 &&
-      newX < yesRect.right + 30 &&
-      newX + btnW > yesRect.left - 30 &&
-      newY < yesRect.bottom + 30 &&
-      newY + btnH > yesRect.top - 30
-    );
+/**
+ * Apply the current zoom and pan to the lightbox photo.
+ */
+function applyLightboxZoom() {
+  const { scale, x, y } = lightboxZoom;
+  lightboxImg.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+  lightbox.classList.toggle('zoomed', scale > 1);
+}
 
-    // Speed up transition as attempts increase
-    const transitionSpeed = Math.max(150, 300 - noEvadeAttempts * 15);
-    noBtn.style.transition = `left ${transitionSpeed}ms cubic-bezier(0.68, -0.55, 0.265, 1.55), top ${transitionSpeed}ms cubic-bezier(0.68, -0.55, 0.265, 1.55)`;
-    noBtn.style.left = newX + 'px';
-    noBtn.style.top = newY + 'px';
-  }
+function resetLightboxZoom() {
+  Object.assign(lightboxZoom, { scale: 1, x: 0, y: 0 });
+  applyLightboxZoom();
 }
 
-// Track mouse movement for No button evasion (debounced)
-let lastEvadeCheck = 0;
-document.addEventListener('mousemove', (e) => {
-  if (currentPage !== Pages.PROPOSAL) return;
+/**
+ * Distance between the first two pointers on the photo.
+ * @returns {number}
+ */
+function pinchDistance() {
+  const [a, b] = [...lightboxPointers.values()];
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
 
-  const now = Date.now();
-  if (now - lastEvadeCheck < 50) return; // Debounce to 50ms
-  lastEvadeCheck = now;
+// ── Pointer gestures: pinch to zoom, drag to pan, swipe to browse ──
+
+lightboxStage.addEventListener('pointerdown', (e) => {
+  lightboxStage.setPointerCapture?.(e.pointerId);
+  lightboxPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (lightboxPointers.size === 2) {
+    lightboxGesture = { type: 'pinch', distance: pinchDistance(), scale: lightboxZoom.scale };
+  } else if (lightboxPointers.size === 1) {
+    lightboxGesture = {
+      type: lightboxZoom.scale > 1 ? 'pan' : 'swipe',
+      startX: e.clientX,
+      startY: e.clientY,
+      originX: lightboxZoom.x,
+      originY: lightboxZoom.y,
+    };
+  }
+});
 
-  evadeNoButton(e);
+lightboxStage.addEventListener('pointermove', (e) => {
+  if (!lightboxPointers.has(e.pointerId)) return;
+  lightboxPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+  if (lightboxGesture?.type === 'pinch' && lightboxPointers.size === 2) {
+    const scale = lightboxGesture.scale * (pinchDistance() / lightboxGesture.distance);
+    lightboxZoom.scale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+    applyLightboxZoom();
+  } else if (lightboxGesture?.type === 'pan') {
+    lightboxZoom.x = lightboxGesture.originX + (e.clientX - lightboxGesture.startX);
+    lightboxZoom.y = lightboxGesture.originY + (e.clientY - lightboxGesture.startY);
+    applyLightboxZoom();
+  }
 });
 
-// Touch support for mobile
-document.addEventListener('touchmove', (e) => {
-  if (currentPage !== Pages.PROPOSAL) return;
-  evadeNoButton(e);
-}, { passive: true });
+/**
+ * Finish a gesture when a pointer lifts.
+ * @param {PointerEvent} e
+ */
+function endLightboxGesture(e) {
+  if (!lightboxPointers.delete(e.pointerId)) return;
+
+  if (lightboxGesture?.type === 'swipe' && e.type === 'pointerup') {
+    const dx = e.clientX - lightboxGesture.startX;
+    const dy = e.clientY - lightboxGesture.startY;
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      showLightboxPhoto(lightboxIdx + inlineStep(dx < 0 ? 1 : -1));
+    }
+  }
 
-// Also evade on touchstart (immediate reaction on mobile)
-noBtn.addEventListener('touchstart', (e) => {
-  e.preventDefault();
-  evadeNoButton(e);
-}, { passive: false });
+  if (lightboxPointers.size === 0) {
+    lightboxGesture = null;
+    if (lightboxZoom.scale <= 1) resetLightboxZoom();
+  } else if (lightboxGesture?.type === 'pinch') {
+    // One finger left after a pinch carries on as a pan
+    const [rest] = lightboxPointers.values();
+    lightboxGesture = { type: 'pan', startX: rest.x, startY: rest.y, originX: lightboxZoom.x, originY: lightboxZoom.y };
+  }
+}
 
-// ── Yes Button → Confetti + Transition ────────────────────────
+lightboxStage.addEventListener('pointerup', endLightboxGesture);
+lightboxStage.addEventListener('pointercancel', endLightboxGesture);
 
-yesBtn.addEventListener('click', () => {
-  // Stop hearts
-  stopFloatingHearts();
+// Double-click (or double-tap) toggles a 2× zoom
+lightboxStage.addEventListener('dblclick', () => {
+  if (lightboxZoom.scale > 1) {
+    resetLightboxZoom();
+  } else {
+    lightboxZoom.scale = 2;
+    applyLightboxZoom();
+  }
+});
 
-  // Launch confetti 🎉
-  launchConfetti();
+// ── Buttons and keyboard ──
 
-  // Transition to congratulations page after confetti launches
-  setTimeout(() => {
-    showPage(Pages.CONGRATS);
-    // Start the starfield after page transitions in
-    setTimeout(startStarfield, 700);
-  }, 1200);
+lightboxCloseBtn.addEventListener('click', closeLightbox);
+lightboxPrevBtn.addEventListener('click', () => showLightboxPhoto(lightboxIdx - 1));
+lightboxNextBtn.addEventListener('click', () => showLightboxPhoto(lightboxIdx + 1));
 
-  // Stop confetti after a few seconds
-  setTimeout(() => {
-    stopConfetti();
-  }, 5000);
+// Clicking the dimmed backdrop closes it
+lightbox.addEventListener('click', (e) => {
+  if (e.target === lightbox) closeLightbox();
+});
+
+lightbox.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeLightbox();
+  } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+    e.preventDefault();
+    showLightboxPhoto(lightboxIdx + inlineStep(e.key === 'ArrowRight' ? 1 : -1));
+  } else if (e.key === 'Tab') {
+    // Keep focus on the lightbox's own buttons while it's open
+    const buttons = [lightboxCloseBtn, lightboxPrevBtn, lightboxNextBtn].filter((btn) => !btn.hidden);
+    const at = buttons.indexOf(document.activeElement);
+    e.preventDefault();
+    buttons[(at + (e.shiftKey ? -1 : 1) + buttons.length) % buttons.length].focus();
+  }
 });
 
 // ================================================================
-//  ENVELOPE INTERACTION
+//  MEMORY TIMELINE — The gallery photos in the order they were taken
 // ================================================================
 
-let envelopeOpened = false;
+const timelineBtn      = document.getElementById('timeline-btn');
+const timelinePanel    = document.getElementById('timeline');
+const timelineList     = document.getElementById('timeline-list');
+const timelineCloseBtn = document.getElementById('timeline-close');
+
+let timelineOpen = false;
+let timelineReturnFocus = null;
 
 /**
- * Handle clicking the envelope to reveal the love letter.
+ * Lay the photos out oldest first with their captions. Undated photos
+ * go at the end in config order.
  */
-function openEnvelope() {
-  if (envelopeOpened) return;
-  envelopeOpened = true;
+function renderTimeline() {
+  timelineList.innerHTML = '';
+
+  const entries = galleryPhotos
+    .map((photo, idx) => ({ photo, idx, date: galleryPhotoDates[idx] }))
+    .sort((a, b) => {
+      if (a.date && b.date) return a.date - b.date;
+      if (a.date || b.date) return a.date ? -1 : 1;
+      return a.idx - b.idx;
+    });
 
-  // Step 1: Open the flap (3D rotation)
-  envelopeWrapper.classList.add('opened');
+  let lastYear = null;
+  entries.forEach(({ photo, idx, date }) => {
+    // A heading whenever the year changes
+    const year = date ? formatDate(date, { year: 'numeric' }) : t('timeline.undated');
+    if (year !== lastYear) {
+      const heading = document.createElement('li');
+      heading.classList.add('timeline-year');
+      heading.textContent = year;
+      timelineList.appendChild(heading);
+      lastYear = year;
+    }
 
-  // Step 2: After flap opens, collapse the envelope and show the message
-  setTimeout(() => {
-    // Hide the prompt text
-    envelopePrompt.classList.add('hidden');
+    const item = document.createElement('li');
+    item.classList.add('timeline-entry');
 
-    // Collapse envelope out of the way
-    envelopeWrapper.classList.add('revealed');
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.classList.add('timeline-photo');
+    open.setAttribute('aria-label', t('timeline.enlarge', { photo: photo.caption || t('timeline.photo', { number: idx + 1 }) }));
+    const img = document.createElement('img');
+    img.alt = photo.alt || photo.caption || t('gallery.photoAlt');
+    img.loading = 'lazy';
+    applyImageSources(img, photo, '96px');
+    open.appendChild(img);
+    open.addEventListener('click', () => openLightbox(idx));
+
+    const details = document.createElement('div');
+    details.classList.add('timeline-details');
+    if (date) {
+      const time = document.createElement('time');
+      time.dateTime = date.toISOString();
+      time.textContent = formatDate(date, { dateStyle: 'medium' });
+      details.appendChild(time);
+    }
+    if (photo.caption) {
+      const caption = document.createElement('p');
+      caption.classList.add('timeline-caption');
+      caption.textContent = photo.caption;
+      details.appendChild(caption);
+    }
+    if (photo.location) {
+      const location = document.createElement('p');
+      location.classList.add('timeline-location');
+      location.textContent = `📍 ${photo.location}`;
+      details.appendChild(location);
+    }
 
-    // Reveal the message + gallery row
-    showGallery();
-    messageCard.classList.add('revealing');
+    item.append(open, details);
+    timelineList.appendChild(item);
+  });
+}
 
-    // Start the typewriter effect after the card reveal animation
-    setTimeout(() => {
-      startTypewriter(() => {
-        // Callback: show replay button after typing finishes
-        replayBtn.classList.remove('hidden');
-      });
-    }, 600);
-  }, 900);
+/**
+ * Open the timeline once every photo's date is known.
+ */
+function openTimeline() {
+  if (timelineOpen) return;
+  timelineOpen = true;
+  timelineReturnFocus = document.activeElement;
+  holdSideGallery('left', 'timeline', true);
+  holdSideGallery('right', 'timeline', true);
+
+  loadGalleryDates().then(() => {
+    // It may have been closed (or the page left) while dates were loading
+    if (!timelineOpen) return;
+    renderTimeline();
+    timelinePanel.classList.remove('hidden');
+    timelineCloseBtn.focus();
+  });
 }
 
-// Click handler
-envelopeWrapper.addEventListener('click', openEnvelope);
+/**
+ * Close the timeline and let the side galleries carry on.
+ */
+function closeTimeline() {
+  if (!timelineOpen) return;
+
+  timelineOpen = false;
+  timelinePanel.classList.add('hidden');
+  holdSideGallery('left', 'timeline', false);
+  holdSideGallery('right', 'timeline', false);
+  timelineReturnFocus?.focus?.();
+  timelineReturnFocus = null;
+}
 
-// Keyboard support (Enter/Space)
-envelopeWrapper.addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' || e.key === ' ') {
+timelineBtn.addEventListener('click', openTimeline);
+timelineCloseBtn.addEventListener('click', closeTimeline);
+
+timelinePanel.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
     e.preventDefault();
-    openEnvelope();
+    closeTimeline();
   }
 });
 
 // ================================================================
-//  CONFETTI ENGINE (Lightweight custom canvas implementation)
+//  KEEPSAKE CARD — A shareable picture of the moment they said yes
 // ================================================================
 
-const ctx = confettiCanvas.getContext('2d');
-let confettiPieces = [];
-let confettiAnimationId = null;
+const keepsakeBtn         = document.getElementById('keepsake-btn');
+const keepsakePanel       = document.getElementById('keepsake');
+const keepsakePreview     = document.getElementById('keepsake-preview');
+const keepsakeStatus      = document.getElementById('keepsake-status');
+const keepsakeCloseBtn    = document.getElementById('keepsake-close');
+const keepsakeDownloadBtn = document.getElementById('keepsake-download');
+const keepsakeShareBtn    = document.getElementById('keepsake-share');
 
-const CONFETTI_COLORS = [
-  '#E63946', '#FF6B9D', '#FFB3BA', '#FFD6E8',
-  '#FF4757', '#FF6348', '#FFA07A', '#FFFFFF',
-  '#C2185B', '#F50057', '#FF80AB', '#FFCDD2',
-];
+// A 4:5 portrait card, the shape most photo apps and feeds show uncropped
+const KEEPSAKE_WIDTH = 1080;
+const KEEPSAKE_HEIGHT = 1350;
+const KEEPSAKE_COLLAGE_SIZE = 6;
+
+let keepsakeOpen = false;
+let keepsakeReturnFocus = null;
+let keepsakeFile = null;
+let keepsakeUrl = null;
+
+// Bumped on close so a card that finishes rendering afterwards is dropped
+let keepsakeRenders = 0;
 
 /**
- * Resize canvas to fill viewport.
+ * Load a gallery photo for drawing. CORS mode keeps the canvas exportable;
+ * a photo that can't be loaded that way is left out of the collage.
+ * @param {{src: string}} photo
+ * @returns {Promise<HTMLImageElement|null>}
  */
-function resizeConfettiCanvas() {
-  confettiCanvas.width = window.innerWidth;
-  confettiCanvas.height = window.innerHeight;
+function loadKeepsakePhoto(photo) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = photo.src;
+  });
 }
 
-window.addEventListener('resize', resizeConfettiCanvas);
-resizeConfettiCanvas();
-
 /**
- * Create a single confetti piece.
- * @returns {Object} Confetti piece configuration
+ * Photos for the collage, picked evenly across the whole gallery.
+ * @returns {Object[]}
  */
-function createConfettiPiece() {
-  return {
-    x: Math.random() * confettiCanvas.width,
-    y: Math.random() * confettiCanvas.height - confettiCanvas.height,
-    w: 6 + Math.random() * 8,
-    h: 4 + Math.random() * 6,
-    color: CONFETTI_COLORS[Math.floor(Math.random() * CONFETTI_COLORS.length)],
-    rotation: Math.random() * 360,
-    rotationSpeed: (Math.random() - 0.5) * 10,
-    velocityX: (Math.random() - 0.5) * 4,
-    velocityY: 1.5 + Math.random() * 3,
-    oscillateAmplitude: Math.random() * 3,
-    oscillateSpeed: 0.02 + Math.random() * 0.03,
-    phase: Math.random() * Math.PI * 2,
-    opacity: 1,
-  };
+function keepsakeCollagePhotos() {
+  const count = Math.min(KEEPSAKE_COLLAGE_SIZE, galleryPhotos.length);
+  return Array.from({ length: count }, (_, i) =>
+    galleryPhotos[Math.floor(i * galleryPhotos.length / count)]);
 }
 
 /**
- * Draw and animate all confetti pieces.
+ * Draw an image into a rounded box, cropped to fill it (like object-fit: cover).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement} img
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
  */
-function animateConfetti() {
-  ctx.clearRect(0, 0, confettiCanvas.width, confettiCanvas.height);
+function drawCoverImage(ctx, img, x, y, w, h) {
+  const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const sw = w / scale;
+  const sh = h / scale;
+
+  ctx.save();
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, y, w, h, 18);
+  else ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.drawImage(img, (img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh, x, y, w, h);
+  ctx.restore();
+}
 
-  confettiPieces.forEach((piece) => {
-    piece.phase += piece.oscillateSpeed;
-    piece.x += piece.velocityX + Math.sin(piece.phase) * piece.oscillateAmplitude;
-    piece.y += piece.velocityY;
-    piece.rotation += piece.rotationSpeed;
+/**
+ * Break text into lines no wider than `maxWidth`, ending with an ellipsis
+ * if it needs more than `maxLines`.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function wrapCanvasText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
 
-    // Fade out near bottom
-    if (piece.y > confettiCanvas.height * 0.8) {
-      piece.opacity = Math.max(0, 1 - (piece.y - confettiCanvas.height * 0.8) / (confettiCanvas.height * 0.2));
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    let last = lines[maxLines - 1];
+    while (last.includes(' ') && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, last.lastIndexOf(' '));
     }
+    lines[maxLines - 1] = `${last}…`;
+  }
+  return lines;
+}
+
+/**
+ * Paint the keepsake: who said yes and when, a collage of the gallery, the
+ * letter's opening line and signature, and how hard "No" tried to get away.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderKeepsake() {
+  const canvas = document.createElement('canvas');
+  canvas.width = KEEPSAKE_WIDTH;
+  canvas.height = KEEPSAKE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  const [photos] = await Promise.all([
+    Promise.all(keepsakeCollagePhotos().map(loadKeepsakePhoto)),
+    document.fonts?.ready,
+  ]);
+
+  const background = ctx.createLinearGradient(0, 0, KEEPSAKE_WIDTH, KEEPSAKE_HEIGHT);
+  background.addColorStop(0, activeTheme.colors['night-1']);
+  background.addColorStop(0.3, activeTheme.colors['night-2']);
+  background.addColorStop(0.6, activeTheme.colors['night-3']);
+  background.addColorStop(1, activeTheme.colors['night-4']);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, KEEPSAKE_WIDTH, KEEPSAKE_HEIGHT);
+
+  const centre = KEEPSAKE_WIDTH / 2;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+
+  // Heading and the day of the answer
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = '700 68px "Playfair Display", serif';
+  ctx.fillText(t('keepsake.heading', { name: experienceConfig.recipient.name }), centre, 130, KEEPSAKE_WIDTH - 120);
+
+  const answer = getSavedAnswer();
+  ctx.fillStyle = activeTheme.colors['warm-accent'];
+  ctx.font = '500 34px Inter, sans-serif';
+  ctx.fillText(formatDate(answer ? new Date(answer.answeredAt) : new Date(), { dateStyle: 'long' }), centre, 188);
+
+  // Collage: up to three columns, centred in the space under the heading
+  const area = { x: 80, y: 240, w: KEEPSAKE_WIDTH - 160, h: 560 };
+  const loaded = photos.filter(Boolean);
+  if (loaded.length) {
+    const gap = 16;
+    const columns = Math.min(3, loaded.length);
+    const rows = Math.ceil(loaded.length / columns);
+    const w = (area.w - gap * (columns - 1)) / columns;
+    const h = (area.h - gap * (rows - 1)) / rows;
+    loaded.forEach((img, i) => {
+      const row = Math.floor(i / columns);
+      const inRow = row === rows - 1 ? loaded.length - row * columns : columns;
+      const offset = (area.w - (inRow * w + (inRow - 1) * gap)) / 2;
+      const col = i % columns;
+      drawCoverImage(ctx, img, area.x + offset + col * (w + gap), area.y + row * (h + gap), w, h);
+    });
+  } else {
+    ctx.font = '200px serif';
+    ctx.fillText(activeTheme.symbol, centre, area.y + area.h / 2 + 70);
+  }
 
-    ctx.save();
-    ctx.translate(piece.x, piece.y);
-    ctx.rotate((piece.rotation * Math.PI) / 180);
-    ctx.globalAlpha = piece.opacity;
-    ctx.fillStyle = piece.color;
-    ctx.fillRect(-piece.w / 2, -piece.h / 2, piece.w, piece.h);
-    ctx.restore();
+  // The letter's opening line and signature
+  const opening = typewriterOriginals[0]?.content.textContent.trim() || '';
+  ctx.fillStyle = '#FFFFFF';
+  ctx.font = 'italic 500 44px "Cormorant Garamond", serif';
+  let y = area.y + area.h + 90;
+  wrapCanvasText(ctx, `“${opening}”`, KEEPSAKE_WIDTH - 200, 3).forEach((line) => {
+    ctx.fillText(line, centre, y);
+    y += 56;
   });
 
-  // Remove pieces that went off screen
-  confettiPieces = confettiPieces.filter(
-    (p) => p.y < confettiCanvas.height + 50 && p.opacity > 0.01
+  if (experienceConfig.letter.signature) {
+    ctx.fillStyle = activeTheme.colors.blush;
+    ctx.font = 'italic 600 40px "Cormorant Garamond", serif';
+    ctx.fillText(experienceConfig.letter.signature, centre, y + 14);
+  }
+
+  // How hard "No" tried
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
+  ctx.font = '400 28px Inter, sans-serif';
+  ctx.fillText(
+    noEvadeAttempts ? t('keepsake.escapes', { count: noEvadeAttempts }) : t('keepsake.noEscapes'),
+    centre,
+    KEEPSAKE_HEIGHT - 70,
   );
 
-  if (confettiPieces.length > 0) {
-    confettiAnimationId = requestAnimationFrame(animateConfetti);
-  }
+  return canvas;
 }
 
 /**
- * Launch a burst of confetti.
+ * File name for the exported card, e.g. `keepsake-marie.png`.
+ * @returns {string}
  */
-function launchConfetti() {
-  resizeConfettiCanvas();
+function keepsakeFileName() {
+  return `keepsake-${experienceConfig.recipient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'you'}.png`;
+}
 
-  // Create 150 pieces
-  for (let i = 0; i < 150; i++) {
-    confettiPieces.push(createConfettiPiece());
-  }
+/**
+ * Open the keepsake dialog and render the card into it.
+ */
+function openKeepsake() {
+  if (keepsakeOpen) return;
+  keepsakeOpen = true;
+  keepsakeReturnFocus = document.activeElement;
+  holdSideGallery('left', 'keepsake', true);
+  holdSideGallery('right', 'keepsake', true);
+
+  keepsakePreview.classList.add('hidden');
+  localise(keepsakeStatus, 'keepsake.making');
+  keepsakeDownloadBtn.disabled = true;
+  keepsakeShareBtn.classList.add('hidden');
+  keepsakePanel.classList.remove('hidden');
+  keepsakeCloseBtn.focus();
+
+  const render = ++keepsakeRenders;
+  renderKeepsake()
+    .then((canvas) => new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Empty image'))), 'image/png');
+    }))
+    .then((blob) => {
+      if (render !== keepsakeRenders) return;
+      keepsakeFile = new File([blob], keepsakeFileName(), { type: 'image/png' });
+      keepsakeUrl = URL.createObjectURL(keepsakeFile);
+      keepsakePreview.src = keepsakeUrl;
+      keepsakePreview.classList.remove('hidden');
+      localise(keepsakeStatus, null);
+      keepsakeDownloadBtn.disabled = false;
+      keepsakeShareBtn.classList.toggle('hidden', !navigator.canShare?.({ files: [keepsakeFile] }));
+    })
+    .catch((err) => {
+      if (render !== keepsakeRenders) return;
+      console.warn("Couldn't make the keepsake card:", err);
+      localise(keepsakeStatus, 'keepsake.failed');
+    });
+}
 
-  // Secondary burst after a short delay
-  setTimeout(() => {
-    for (let i = 0; i < 80; i++) {
-      confettiPieces.push(createConfettiPiece());
-    }
-  }, 400);
+/**
+ * Close the keepsake dialog and let go of the rendered image.
+ */
+function closeKeepsake() {
+  if (!keepsakeOpen) return;
+
+  keepsakeOpen = false;
+  keepsakeRenders++;
+  keepsakePanel.classList.add('hidden');
+  keepsakePreview.removeAttribute('src');
+  if (keepsakeUrl) URL.revokeObjectURL(keepsakeUrl);
+  keepsakeUrl = null;
+  keepsakeFile = null;
+  holdSideGallery('left', 'keepsake', false);
+  holdSideGallery('right', 'keepsake', false);
+  keepsakeReturnFocus?.focus?.();
+  keepsakeReturnFocus = null;
+}
 
-  if (!confettiAnimationId) {
-    animateConfetti();
+/**
+ * Save the card as a PNG.
+ */
+function downloadKeepsake() {
+  if (!keepsakeUrl) return;
+  const link = document.createElement('a');
+  link.href = keepsakeUrl;
+  link.download = keepsakeFile.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+/**
+ * Hand the card to the device's share sheet (Web Share API).
+ */
+function shareKeepsake() {
+  if (!keepsakeFile) return;
+  navigator.share({
+    files: [keepsakeFile],
+    title: t('keepsake.heading', { name: experienceConfig.recipient.name }),
+  }).catch((err) => {
+    // Closing the share sheet rejects with AbortError; nothing went wrong
+    if (err.name !== 'AbortError') console.warn("Couldn't share the keepsake card:", err);
+  });
+}
+
+keepsakeBtn.addEventListener('click', openKeepsake);
+keepsakeCloseBtn.addEventListener('click', closeKeepsake);
+keepsakeDownloadBtn.addEventListener('click', downloadKeepsake);
+keepsakeShareBtn.addEventListener('click', shareKeepsake);
+
+keepsakePanel.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeKeepsake();
   }
+});
+
+// ================================================================
+//  REPLAY FUNCTIONALITY — Every stage resets itself for "Start over"
+// ================================================================
+
+/**
+ * Put the CAPTCHA back to its first round with no failures.
+ */
+function resetCaptchaStage() {
+  failureCounts = [];
+  selectedCells.clear();
+
+  // Reset captcha container styles
+  resetCaptchaContainer();
+
+  // Hide error and hint
+  captchaError.classList.remove('visible');
+  captchaHint.classList.remove('visible');
+
+  // Back to the first round (a pipeline without the CAPTCHA has none)
+  if (captchaRounds.length) startCaptchaRound(0);
+}
+
+/**
+ * Bring the No button back and clear the celebration.
+ */
+function resetProposalStage() {
+  noEvadeAttempts = 0;
+  noButtonGone = false;
+
+  // Reset No button
+  noBtn.style.display = '';
+  noBtn.style.transform = '';
+  noBtn.style.opacity = '';
+  noBtn.style.transition = '';
+  noButtonStrategy.reset();
+  noGoneMsg.textContent = '';
+  noGoneMsg.classList.remove('visible');
+
+  // Clear confetti
+  stopConfetti({ immediate: true });
+
+  // Stop hearts
+  stopFloatingHearts();
+  heartsContainer.innerHTML = '';
 }
 
 /**
- * Stop confetti animation and clear the canvas.
+ * Seal the envelope again and rewind the letter, galleries and stars.
  */
-function stopConfetti() {
-  // Let existing pieces fall, don't add more
-  // They'll naturally fade and be removed by the filter
+function resetCongratsStage() {
+  // Reset envelope state
+  envelopeOpened = false;
+  envelopeWrapper.classList.remove('opened', 'revealed');
+  envelopePrompt.classList.remove('hidden');
+  messageCard.classList.remove('revealing');
+
+  // Reset typewriter
+  resetTypewriter();
+
+  // Reset gallery
+  resetGallery();
+  datePlan.classList.add('hidden');
+
+  // Reset starfield
+  stopStarfield();
+  constellationFormed = false;
 }
 
+replayBtn.addEventListener('click', () => {
+  // Hide replay button immediately
+  replayBtn.classList.add('hidden');
+
+  // Forget the saved progress so a reload starts fresh too
+  clearSession();
+  furthestPageIdx = 0;
+
+  Object.values(Stages).forEach((stage) => stage.reset());
+
+  // Drop anything still scheduled from the last run-through
+  [...Object.keys(Stages), 'confetti'].forEach((group) => Scheduler.cancelGroup(group));
+
+  // Navigate back to the first stage
+  showPage(stageOrder[0]);
+});
+
 // ================================================================
-//  STARFIELD ENGINE — Twinkling stars on congrats page
+//  AUDIO ENGINE — Background music and sound effects (Web Audio)
 // ================================================================
 
-const starCtx = starfieldCanvas.getContext('2d');
-let stars = [];
-let starAnimId = null;
+const muteBtn = document.getElementById('mute-btn');
+
+const CROSSFADE_SECONDS = 1.5;
+
+// Built-in music-box loops, used when the config doesn't name an audio file.
+// Chords are MIDI note numbers, arpeggiated one chord per bar.
+const BuiltInTunes = {
+  proposal: { bpm: 84, chords: [[60, 64, 67], [57, 60, 64], [53, 57, 60], [55, 59, 62]] },
+  congrats: { bpm: 96, chords: [[65, 69, 72], [60, 64, 67], [62, 65, 69], [58, 62, 65]] },
+};
+
+// Synthesized cues: each is a list of short tones layered from `delay` (seconds)
+const SoundEffects = {
+  toggle:   [{ type: 'sine', freq: 880, endFreq: 1320, duration: 0.08, gain: 0.18 }],
+  error:    [{ type: 'square', freq: 220, endFreq: 140, duration: 0.22, gain: 0.08 },
+             { type: 'square', freq: 180, endFreq: 110, duration: 0.22, gain: 0.08, delay: 0.12 }],
+  evade:    [{ type: 'triangle', freq: 520, endFreq: 1400, duration: 0.12, gain: 0.15 }],
+  confetti: [{ type: 'sine', freq: 660, endFreq: 990, duration: 0.12, gain: 0.15 },
+             { type: 'sine', freq: 880, endFreq: 1320, duration: 0.12, gain: 0.15, delay: 0.08 },
+             { type: 'sine', freq: 1046, endFreq: 1568, duration: 0.3, gain: 0.15, delay: 0.16 }],
+  envelope: [{ type: 'triangle', freq: 300, endFreq: 600, duration: 0.35, gain: 0.12 },
+             { type: 'sine', freq: 1175, duration: 0.5, gain: 0.08, delay: 0.3 }],
+  key:      [{ type: 'triangle', freq: 1900, duration: 0.025, gain: 0.03, jitter: 300 }],
+  correct:  [{ type: 'sine', freq: 784, endFreq: 1046, duration: 0.1, gain: 0.15 },
+             { type: 'sine', freq: 1046, endFreq: 1568, duration: 0.16, gain: 0.15, delay: 0.09 }],
+};
+
+let audioCtx = null;
+let masterGain = null;
+let musicBus = null;
+let effectsBus = null;
+let audioMuted = readStored(StorageKeys.MUTED) === true;
+let desiredTrack = null;      // Track the current page wants, even before audio is unlocked
+let currentTrack = null;      // { name, source, gain }
+const trackBuffers = new Map(); // name → Promise<AudioBuffer>
 
 /**
- * Resize the starfield canvas to match its section.
+ * The `audio` section of the config, with defaults filled in.
+ * @returns {{tracks: Object, musicVolume: number, effectsVolume: number}}
  */
-function resizeStarfield() {
-  const section = document.getElementById('congrats-page');
-  starfieldCanvas.width = section.offsetWidth;
-  starfieldCanvas.height = section.scrollHeight;
+function audioSettings() {
+  const audio = experienceConfig?.audio || {};
+  return {
+    tracks: audio.tracks || {},
+    musicVolume: audio.musicVolume ?? 0.35,
+    effectsVolume: audio.effectsVolume ?? 0.6,
+  };
 }
 
 /**
- * Create the star array with randomized positions, sizes, and twinkle speeds.
+ * Create the audio graph on the first user gesture (browsers block audio before one).
  */
-function createStars() {
-  stars = [];
-  const count = Math.min(200, Math.floor((starfieldCanvas.width * starfieldCanvas.height) / 4000));
+function unlockAudio() {
+  if (audioCtx) return;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
 
-  for (let i = 0; i < count; i++) {
-    stars.push({
-      x: Math.random() * starfieldCanvas.width,
-      y: Math.random() * starfieldCanvas.height,
-      radius: 0.4 + Math.random() * 1.8,
-      baseAlpha: 0.3 + Math.random() * 0.7,
-      alpha: 0,
-      twinkleSpeed: 0.005 + Math.random() * 0.02,
-      phase: Math.random() * Math.PI * 2,
-      // Some stars have a faint warm tint
-      hue: Math.random() > 0.7 ? 340 + Math.random() * 40 : 0,
-      saturation: Math.random() > 0.7 ? 30 + Math.random() * 40 : 0,
-    });
-  }
+  audioCtx = new AudioContextClass();
+  const { musicVolume, effectsVolume } = audioSettings();
+
+  masterGain = audioCtx.createGain();
+  masterGain.gain.value = audioMuted ? 0 : 1;
+  masterGain.connect(audioCtx.destination);
+
+  musicBus = audioCtx.createGain();
+  musicBus.gain.value = musicVolume;
+  musicBus.connect(masterGain);
+
+  effectsBus = audioCtx.createGain();
+  effectsBus.gain.value = effectsVolume;
+  effectsBus.connect(masterGain);
+
+  audioCtx.resume();
+  if (desiredTrack) playMusic(desiredTrack);
 }
 
+['pointerdown', 'keydown', 'touchstart'].forEach((type) => {
+  document.addEventListener(type, unlockAudio, { once: true, capture: true, passive: true });
+});
+
 /**
- * Animation loop for twinkling stars.
+ * Play a short synthesized cue.
+ * @param {keyof SoundEffects} name
  */
-function animateStars() {
-  starCtx.clearRect(0, 0, starfieldCanvas.width, starfieldCanvas.height);
+function playSfx(name) {
+  if (!audioCtx || audioMuted) return;
+
+  const now = audioCtx.currentTime;
+  SoundEffects[name].forEach((tone) => {
+    const start = now + (tone.delay || 0);
+    const end = start + tone.duration;
+    const freq = tone.freq + (tone.jitter ? (Math.random() - 0.5) * tone.jitter : 0);
+
+    const osc = audioCtx.createOscillator();
+    osc.type = tone.type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (tone.endFreq) osc.frequency.exponentialRampToValueAtTime(tone.endFreq, end);
+
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(tone.gain, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(gain).connect(effectsBus);
+    osc.start(start);
+    osc.stop(end + 0.02);
+  });
+}
 
-  stars.forEach((star) => {
-    star.phase += star.twinkleSpeed;
-    star.alpha = star.baseAlpha * (0.5 + 0.5 * Math.sin(star.phase));
+/**
+ * Crossfade to a looping music track. Before the first gesture this just
+ * remembers the track so it starts as soon as audio is unlocked.
+ * @param {'proposal'|'congrats'} name
+ */
+async function playMusic(name) {
+  desiredTrack = name;
+  if (!audioCtx || currentTrack?.name === name) return;
+
+  let buffer;
+  try {
+    buffer = await loadTrack(name);
+  } catch (err) {
+    console.warn(`Couldn't load the ${name} track:`, err);
+    return;
+  }
+  // The page may have changed while the track was loading
+  if (desiredTrack !== name || currentTrack?.name === name) return;
 
-    starCtx.beginPath();
-    starCtx.arc(star.x, star.y, star.radius, 0, Math.PI * 2);
+  const now = audioCtx.currentTime;
+  const source = audioCtx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
 
-    if (star.saturation > 0) {
-      starCtx.fillStyle = `hsla(${star.hue}, ${star.saturation}%, 85%, ${star.alpha})`;
-    } else {
-      starCtx.fillStyle = `rgba(255, 255, 255, ${star.alpha})`;
-    }
+  const gain = audioCtx.createGain();
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(1, now + CROSSFADE_SECONDS);
 
-    starCtx.fill();
+  source.connect(gain).connect(musicBus);
+  source.start(now);
 
-    // Glow effect for larger stars
-    if (star.radius > 1.2) {
-      starCtx.beginPath();
-      starCtx.arc(star.x, star.y, star.radius * 2.5, 0, Math.PI * 2);
-      starCtx.fillStyle = `rgba(255, 255, 255, ${star.alpha * 0.12})`;
-      starCtx.fill();
-    }
-  });
+  fadeOutTrack(currentTrack);
+  currentTrack = { name, source, gain };
+}
 
-  starAnimId = requestAnimationFrame(animateStars);
+/**
+ * Fade out whatever music is playing.
+ */
+function stopMusic() {
+  desiredTrack = null;
+  fadeOutTrack(currentTrack);
+  currentTrack = null;
 }
 
 /**
- * Start the starfield animation.
+ * Ramp a playing track to silence and stop it.
+ * @param {{source: AudioBufferSourceNode, gain: GainNode}|null} track
  */
-function startStarfield() {
-  if (starAnimId) return;
-  resizeStarfield();
-  createStars();
-  animateStars();
+function fadeOutTrack(track) {
+  if (!track) return;
+  const now = audioCtx.currentTime;
+  track.gain.gain.cancelScheduledValues(now);
+  track.gain.gain.setValueAtTime(track.gain.gain.value, now);
+  track.gain.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS);
+  track.source.stop(now + CROSSFADE_SECONDS + 0.05);
 }
 
 /**
- * Stop the starfield animation.
+ * Decode a track once: the configured audio file, or the built-in tune.
+ * @param {'proposal'|'congrats'} name
+ * @returns {Promise<AudioBuffer>}
  */
-function stopStarfield() {
-  if (starAnimId) {
-    cancelAnimationFrame(starAnimId);
-    starAnimId = null;
+function loadTrack(name) {
+  if (!trackBuffers.has(name)) {
+    const url = audioSettings().tracks[name];
+    const loading = url
+      ? fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then((data) => audioCtx.decodeAudioData(data))
+      : renderMusicBox(BuiltInTunes[name]);
+    // Forget failures so a later visit to the page can retry
+    loading.catch(() => trackBuffers.delete(name));
+    trackBuffers.set(name, loading);
   }
-  stars = [];
-  starCtx.clearRect(0, 0, starfieldCanvas.width, starfieldCanvas.height);
+  return trackBuffers.get(name);
 }
 
-// Resize starfield when window resizes (debounced)
-let starResizeTimer = null;
-window.addEventListener('resize', () => {
-  if (starResizeTimer) clearTimeout(starResizeTimer);
-  starResizeTimer = setTimeout(() => {
-    if (starAnimId) {
-      resizeStarfield();
-      createStars();
-    }
-  }, 250);
-});
-
-// ================================================================
-//  TYPEWRITER EFFECT — Letter-by-letter message reveal
-// ================================================================
-
-let typewriterAbortController = null;
-
-// Store original HTML at load time so replay can restore it
-const typewriterOriginals = [];
-document.addEventListener('DOMContentLoaded', () => {
-  messageCard.querySelectorAll('.typewriter-line').forEach((line) => {
-    typewriterOriginals.push({
-      el: line,
-      originalHTML: line.innerHTML,
-      isInstant: line.hasAttribute('data-typewriter-instant'),
+/**
+ * Render a gentle arpeggiated music-box loop into an AudioBuffer.
+ * @param {{bpm: number, chords: number[][]}} tune
+ * @returns {Promise<AudioBuffer>}
+ */
+function renderMusicBox({ bpm, chords }) {
+  const sampleRate = audioCtx.sampleRate;
+  const eighth = 60 / bpm / 2;
+  const duration = chords.length * 8 * eighth;
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const offline = new OfflineContextClass(2, Math.ceil(duration * sampleRate), sampleRate);
+
+  // Up-and-down pattern through the chord, with the octave on top
+  const pattern = [0, 1, 2, 3, 2, 1, 0, 1];
+
+  chords.forEach((chord, bar) => {
+    const notes = [...chord, chord[0] + 12];
+    pattern.forEach((step, i) => {
+      const start = (bar * 8 + i) * eighth;
+      const freq = 440 * Math.pow(2, (notes[step] + 12 - 69) / 12);
+      const decay = Math.min(1.2, duration - start);
+
+      [['sine', 0.22], ['triangle', 0.05]].forEach(([type, level], partial) => {
+        const osc = offline.createOscillator();
+        osc.type = type;
+        osc.frequency.value = freq * (partial + 1);
+
+        const gain = offline.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(level, start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+
+        osc.connect(gain).connect(offline.destination);
+        osc.start(start);
+        osc.stop(start + decay);
+      });
     });
   });
-});
+
+  return offline.startRendering();
+}
 
 /**
- * Type out the love letter paragraphs one by one.
- * @param {Function} onComplete - Callback when all lines are typed.
+ * Mute or unmute everything and remember the choice.
+ * @param {boolean} muted
  */
-function startTypewriter(onComplete) {
-  typewriterAbortController = new AbortController();
-  const signal = typewriterAbortController.signal;
-
-  // Clear all lines and prepare for typing
-  const lineData = typewriterOriginals.map((orig) => {
-    orig.el.innerHTML = '';
-    orig.el.classList.add('typewriter-active');
-    return { ...orig };
-  });
+function setMuted(muted) {
+  audioMuted = muted;
+  writeStored(StorageKeys.MUTED, muted);
+
+  muteBtn.textContent = muted ? '🔇' : '🔊';
+  muteBtn.setAttribute('aria-pressed', String(muted));
+  localise(muteBtn, muted ? 'sound.unmute' : 'sound.mute', 'aria-label');
+
+  if (masterGain) {
+    const now = audioCtx.currentTime;
+    masterGain.gain.cancelScheduledValues(now);
+    masterGain.gain.setTargetAtTime(muted ? 0 : 1, now, 0.05);
+  }
+}
 
-  let currentLineIdx = 0;
+muteBtn.addEventListener('click', () => setMuted(!audioMuted));
+setMuted(audioMuted);
 
-  function typeNextLine() {
-    if (signal.aborted) return;
-    if (currentLineIdx >= lineData.length) {
-      // All done
-      if (onComplete) onComplete();
-      return;
-    }
+// ================================================================
+//  MOTION PREFERENCES — prefers-reduced-motion and the in-page toggle
+// ================================================================
 
-    const data = lineData[currentLineIdx];
-    currentLineIdx++;
+const motionBtn = document.getElementById('motion-btn');
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-    if (data.isInstant) {
-      // Instant reveal (for dividers, etc.)
-      data.el.innerHTML = data.originalHTML;
-      setTimeout(typeNextLine, 300);
-      return;
-    }
+// Reduced motion applies when the system asks for it or the toggle is on
+let motionToggleOn = readStored(StorageKeys.REDUCED_MOTION) === true;
+let reducedMotion = false;
 
-    // Parse the original HTML to extract text nodes while preserving tags
-    typeHTMLContent(data.el, data.originalHTML, signal, () => {
-      // Small pause between paragraphs
-      setTimeout(typeNextLine, 400);
-    });
+/**
+ * Work out whether motion should be reduced and bring every running effect
+ * in line: hearts and stars, the letter, confetti and the No button.
+ */
+function applyMotionPreference() {
+  const systemReduced = reducedMotionQuery.matches;
+  reducedMotion = systemReduced || motionToggleOn;
+  document.documentElement.classList.toggle('reduced-motion', reducedMotion);
+
+  motionBtn.textContent = reducedMotion ? '🧘' : '✨';
+  motionBtn.setAttribute('aria-pressed', String(reducedMotion));
+  localise(motionBtn, reducedMotion ? 'motion.allow' : 'motion.reduce', 'aria-label');
+  // The toggle can't override the system setting
+  motionBtn.disabled = systemReduced;
+  localise(motionBtn, systemReduced ? 'motion.system' : null, 'title');
+
+  selectNoButtonStrategy();
+
+  if (reducedMotion) {
+    stopFloatingHearts();
+    document.querySelectorAll('.floating-heart').forEach((heart) => heart.remove());
+    if (Scheduler.has('typewriter')) finishTypewriter();
+    if (Scheduler.has('confetti')) stopConfetti({ immediate: true });
+  } else if (currentPage === Pages.PROPOSAL) {
+    startFloatingHearts();
+  } else if (currentPage === Pages.COUNTDOWN) {
+    startFloatingHearts(countdownHearts, Pages.COUNTDOWN);
   }
 
-  typeNextLine();
+  // Redraw the stars as still or twinkling
+  if (stars.length) {
+    stopStarfield();
+    startStarfield();
+  }
 }
 
 /**
- * Type out HTML content character by character, preserving tags.
- * @param {HTMLElement} el - The target element
- * @param {string} html - The original HTML string
- * @param {AbortSignal} signal - Abort signal
- * @param {Function} onDone - Callback when done
+ * Turn the in-page reduced-motion toggle on or off and remember the choice.
+ * @param {boolean} on
  */
-function typeHTMLContent(el, html, signal, onDone) {
-  // Parse the HTML to separate tags from text
-  const segments = [];
-  let i = 0;
-  while (i < html.length) {
-    if (html[i] === '<') {
-      // Find end of tag
-      const tagEnd = html.indexOf('>', i);
-      if (tagEnd !== -1) {
-        segments.push({ type: 'tag', content: html.substring(i, tagEnd + 1) });
-        i = tagEnd + 1;
-      } else {
-        segments.push({ type: 'char', content: html[i] });
-        i++;
-      }
-    } else {
-      segments.push({ type: 'char', content: html[i] });
-      i++;
-    }
-  }
+function setMotionToggle(on) {
+  motionToggleOn = on;
+  writeStored(StorageKeys.REDUCED_MOTION, on);
+  applyMotionPreference();
+}
 
-  let built = '';
-  let segIdx = 0;
+motionBtn.addEventListener('click', () => setMotionToggle(!motionToggleOn));
+reducedMotionQuery.addEventListener('change', applyMotionPreference);
+applyMotionPreference();
 
-  // Create cursor
-  const cursor = document.createElement('span');
-  cursor.classList.add('typewriter-cursor');
+// ================================================================
+//  CREATOR MODE — Build a personalised experience in the browser
+// ================================================================
 
-  // Typing speed: ~35ms per character (fast but readable)
-  const BASE_SPEED = 30;
+const CREATOR_ROUTE = 'create';
+const CREATOR_PAGE = 'creator-page';
+
+const creatorForm        = document.getElementById('creator-form');
+const creatorCaptchaList = document.getElementById('creator-captcha-list');
+const creatorGalleryList = document.getElementById('creator-gallery-list');
+const creatorErrors      = document.getElementById('creator-errors');
+const creatorOutput      = document.getElementById('creator-output');
+const creatorLinkInput   = document.getElementById('creator-link');
+const creatorLinkNote    = document.getElementById('creator-link-note');
+const creatorStatus      = document.getElementById('creator-status');
+
+// Longest dimension (px) and JPEG quality for uploaded photos. Links keep
+// photos small so the URL stays shareable; bundles can afford more detail.
+const CreatorImageSizes = Object.freeze({
+  // placeholder — size of the blurred stand-in shown while a photo decodes (0 = none; links skip it to stay short)
+  link:   { captcha: 320, gallery: 560, quality: 0.7, placeholder: 0 },
+  bundle: { captcha: 480, gallery: 1080, quality: 0.82, placeholder: 24 },
+});
 
-  function typeNext() {
-    if (signal.aborted) return;
+// Links longer than this are likely to be truncated by messaging apps
+const LONG_LINK_CHARS = 32000;
 
-    if (segIdx >= segments.length) {
-      // Done typing this line — remove cursor
-      el.innerHTML = built;
-      if (onDone) onDone();
-      return;
-    }
+const creatorPhotos = {
+  captcha: [],  // { file, url, isTarget }
+  gallery: [],  // { file, url }
+};
 
-    const seg = segments[segIdx];
-    segIdx++;
+let creatorReady = false;
 
-    if (seg.type === 'tag') {
-      // Tags appear instantly
-      built += seg.content;
-      typeNext();
-      return;
-    }
+/**
+ * Show the creator page, wiring up the form the first time.
+ */
+function openCreator() {
+  if (!creatorReady) {
+    initCreatorForm();
+    creatorReady = true;
+  }
+  showPage(CREATOR_PAGE, { history: 'none' });
+}
 
-    // It's a character
-    built += seg.content;
-    el.innerHTML = built;
-    el.appendChild(cursor);
+/**
+ * Attach the creator form's event handlers.
+ */
+function initCreatorForm() {
+  creatorForm.elements['captcha-photos'].addEventListener('change', (e) => {
+    addCreatorPhotos('captcha', e.target.files);
+    e.target.value = '';
+  });
+  creatorForm.elements['gallery-photos'].addEventListener('change', (e) => {
+    addCreatorPhotos('gallery', e.target.files);
+    e.target.value = '';
+  });
 
-    // Variable speed: pause longer on punctuation
-    let delay = BASE_SPEED + Math.random() * 20;
-    if ('.!?,;:'.includes(seg.content)) {
-      delay += 120;
-    }
+  document.getElementById('creator-link-btn').addEventListener('click', () => runCreatorAction(createShareLink));
+  document.getElementById('creator-bundle-btn').addEventListener('click', () => runCreatorAction(downloadBundle));
+  document.getElementById('creator-copy-btn').addEventListener('click', copyShareLink);
 
-    setTimeout(typeNext, delay);
-  }
+  creatorForm.addEventListener('submit', (e) => e.preventDefault());
+}
 
-  el.innerHTML = '';
-  el.appendChild(cursor);
-  setTimeout(typeNext, 200);
+/**
+ * Add uploaded image files to one of the creator's photo lists.
+ * @param {'captcha'|'gallery'} kind
+ * @param {FileList} files
+ */
+function addCreatorPhotos(kind, files) {
+  [...files]
+    .filter((file) => file.type.startsWith('image/'))
+    .forEach((file) => {
+      creatorPhotos[kind].push({ file, url: URL.createObjectURL(file), isTarget: false });
+    });
+  renderCreatorPhotos(kind);
 }
 
 /**
- * Abort any running typewriter and restore all lines to their original state.
+ * Redraw a creator photo list with thumbnails, target toggles and remove buttons.
+ * @param {'captcha'|'gallery'} kind
  */
-function resetTypewriter() {
-  if (typewriterAbortController) {
-    typewriterAbortController.abort();
-    typewriterAbortController = null;
-  }
+function renderCreatorPhotos(kind) {
+  const list = kind === 'captcha' ? creatorCaptchaList : creatorGalleryList;
+  list.innerHTML = '';
 
-  // Restore original content and hide all lines
-  typewriterOriginals.forEach((orig) => {
-    orig.el.innerHTML = orig.originalHTML;
-    orig.el.classList.remove('typewriter-active');
-  });
-}
+  creatorPhotos[kind].forEach((photo, i) => {
+    const item = document.createElement('li');
+    item.classList.add('creator-photo');
+    item.classList.toggle('is-target', photo.isTarget);
 
-// ================================================================
-//  DUAL SIDE GALLERIES — Crossfade photo slideshows
-// ================================================================
+    const img = document.createElement('img');
+    img.src = photo.url;
+    img.alt = photo.file.name;
+    item.appendChild(img);
+
+    if (kind === 'captcha') {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = photo.isTarget;
+      checkbox.addEventListener('change', () => {
+        photo.isTarget = checkbox.checked;
+        item.classList.toggle('is-target', photo.isTarget);
+      });
+      label.append(checkbox, ` ${t('creator.target')}`);
+      item.appendChild(label);
+    } else {
+      const caption = document.createElement('input');
+      caption.type = 'text';
+      caption.classList.add('creator-photo-caption');
+      caption.placeholder = t('creator.caption');
+      caption.setAttribute('aria-label', t('creator.captionFor', { file: photo.file.name }));
+      caption.value = photo.caption || '';
+      caption.addEventListener('input', () => {
+        photo.caption = caption.value;
+      });
+      item.appendChild(caption);
+    }
 
-const messageGalleryRow = document.getElementById('message-gallery-row');
-const galleryLeftTrack  = document.getElementById('gallery-left-track');
-const galleryRightTrack = document.getElementById('gallery-right-track');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.classList.add('creator-photo-remove');
+    remove.setAttribute('aria-label', t('creator.remove', { file: photo.file.name }));
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      URL.revokeObjectURL(photo.url);
+      creatorPhotos[kind].splice(i, 1);
+      renderCreatorPhotos(kind);
+    });
+    item.appendChild(remove);
 
-let leftSlideIdx  = 0;
-let rightSlideIdx = 0;
-let leftAutoPlayId  = null;
-let rightAutoPlayId = null;
+    list.appendChild(item);
+  });
+}
 
 /**
- * Advance one side gallery to the next photo with crossfade.
- * @param {HTMLElement} track - The .side-gallery-track element
- * @param {'left'|'right'} side - Which gallery
+ * Run a creator output action, showing progress and any config problems.
+ * @param {Function} action - Async action receiving the built config
  */
-function advanceSideGallery(side) {
-  const track = side === 'left' ? galleryLeftTrack : galleryRightTrack;
-  if (!track) return;
-
-  const slides = track.querySelectorAll('.side-gallery-slide');
-  if (slides.length === 0) return;
+async function runCreatorAction(action) {
+  creatorErrors.innerHTML = '';
+  creatorStatus.textContent = t('creator.preparing');
+  creatorForm.classList.add('busy');
+
+  try {
+    await action();
+    creatorStatus.textContent = '';
+  } catch (err) {
+    creatorStatus.textContent = '';
+    const problems = err instanceof ConfigError && err.problems.length > 0 ? err.problems : [err.message];
+    problems.forEach((problem) => {
+      const li = document.createElement('li');
+      li.textContent = problem;
+      creatorErrors.appendChild(li);
+    });
+    creatorErrors.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  } finally {
+    creatorForm.classList.remove('busy');
+  }
+}
 
-  // Current index
-  let idx = side === 'left' ? leftSlideIdx : rightSlideIdx;
+/**
+ * Build an experience config from the creator form, downscaling the photos.
+ * @param {'link'|'bundle'} target - Which output the photos are sized for
+ * @returns {Promise<Object>} A validated config
+ */
+async function buildCreatorConfig(target) {
+  const fields = creatorForm.elements;
+  const sizes = CreatorImageSizes[target];
 
-  // Remove active from current
-  slides[idx].classList.remove('active');
+  const placeholder = async (file) => (
+    sizes.placeholder ? { placeholder: await downscaleImage(file, sizes.placeholder, 0.5) } : {}
+  );
 
-  // Advance to next
-  idx = (idx + 1) % slides.length;
+  const captchaImages = await Promise.all(creatorPhotos.captcha.map(async (photo) => ({
+    src: await downscaleImage(photo.file, sizes.captcha, sizes.quality),
+    ...await placeholder(photo.file),
+    isTarget: photo.isTarget,
+  })));
+  const galleryPhotos = await Promise.all(creatorPhotos.gallery.map(async (photo) => {
+    const entry = {
+      src: await downscaleImage(photo.file, sizes.gallery, sizes.quality),
+      ...await placeholder(photo.file),
+    };
+    if (photo.caption?.trim()) entry.caption = photo.caption.trim();
+    // Downscaling drops EXIF, so keep the capture date from the original file
+    const taken = readExifDate(await photo.file.slice(0, EXIF_PROBE_BYTES).arrayBuffer());
+    if (taken) entry.date = toConfigDate(taken);
+    return entry;
+  }));
+
+  // Blank lines separate paragraphs; single line breaks are kept inside one
+  const paragraphs = fields['letter'].value
+    .split(/\n\s*\n/)
+    .map((p) => p.trim().replace(/\n/g, '<br>'))
+    .filter(Boolean);
+
+  // The page speaks the creator's language, like the letter they wrote
+  const config = {
+    locale: activeLocale,
+    recipient: { name: fields['recipient-name'].value.trim() },
+    captcha: {
+      hint: fields['captcha-hint'].value.trim(),
+      rounds: [{
+        type: 'select-targets',
+        prompt: fields['captcha-prompt'].value.trim(),
+        images: captchaImages,
+      }],
+    },
+    letter: {
+      paragraphs,
+      signature: fields['signature'].value.trim(),
+    },
+    gallery: { photos: galleryPhotos },
+  };
+  checkConfig(config, 'Your experience');
 
-  // Set new active
-  slides[idx].classList.add('active');
+  const passphrase = fields['seal-passphrase'].value;
+  if (!passphrase.trim()) return config;
 
-  // Store index
-  if (side === 'left') leftSlideIdx = idx;
-  else rightSlideIdx = idx;
+  // Locked: the letter and photos travel encrypted, behind a last round asking for the passphrase
+  const { letter, gallery, ...rest } = config;
+  rest.captcha.rounds.push({ type: 'passphrase', prompt: fields['seal-clue'].value.trim() });
+  return checkConfig({ ...rest, sealed: await sealContent({ letter, gallery }, passphrase) }, 'Your experience');
 }
 
 /**
- * Start auto-play for both side galleries.
- * Staggered timing: left every 4s, right every 4s offset by 2s.
+ * Scale an image file down to fit within `maxSize` and re-encode it as a JPEG data URL.
+ * @param {File} file
+ * @param {number} maxSize - Longest side in pixels
+ * @param {number} quality - JPEG quality (0–1)
+ * @returns {Promise<string>}
  */
-function startSideGalleries() {
-  stopSideGalleries();
+async function downscaleImage(file, maxSize, quality) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
 
-  leftAutoPlayId = setInterval(() => advanceSideGallery('left'), 4000);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
 
-  // Stagger the right gallery by 2 seconds
-  setTimeout(() => {
-    rightAutoPlayId = setInterval(() => advanceSideGallery('right'), 4000);
-  }, 2000);
+  return canvas.toDataURL('image/jpeg', quality);
 }
 
 /**
- * Stop auto-play for both galleries.
+ * Encode the creator's config into a shareable link and show it.
  */
-function stopSideGalleries() {
-  if (leftAutoPlayId)  { clearInterval(leftAutoPlayId);  leftAutoPlayId = null; }
-  if (rightAutoPlayId) { clearInterval(rightAutoPlayId); rightAutoPlayId = null; }
+async function createShareLink() {
+  const config = await buildCreatorConfig('link');
+  const payload = await encodeConfigParam(config);
+  const base = window.location.href.split('#')[0];
+  const link = `${base}#${Stages[Pages.CAPTCHA].route}?config=${payload}`;
+
+  creatorLinkInput.value = link;
+  creatorOutput.classList.remove('hidden');
+
+  const kb = Math.round(link.length / 1024);
+  creatorLinkNote.textContent = link.length > LONG_LINK_CHARS
+    ? t('creator.linkTooLong', { kb })
+    : t('creator.linkSize', { kb });
 }
 
 /**
- * Show the message + gallery row with animation.
+ * Copy the generated link to the clipboard.
  */
-function showGallery() {
-  messageGalleryRow.classList.remove('hidden');
-  startSideGalleries();
+async function copyShareLink() {
+  try {
+    await navigator.clipboard.writeText(creatorLinkInput.value);
+    creatorLinkNote.textContent = t('creator.copied');
+  } catch {
+    creatorLinkInput.select();
+  }
 }
 
 /**
- * Reset gallery to initial hidden state.
+ * Download a single self-contained HTML file with the styles, script and config inlined.
  */
-function resetGallery() {
-  stopSideGalleries();
-  messageGalleryRow.classList.add('hidden');
+async function downloadBundle() {
+  const config = await buildCreatorConfig('bundle');
+  const [html, css, js] = await Promise.all(
+    ['index.html', 'styles.css', 'script.js'].map(async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Couldn't read ${url} to build the bundle (HTTP ${response.status}).`);
+      return response.text();
+    }),
+  );
 
-  // Reset both galleries to first slide
-  [galleryLeftTrack, galleryRightTrack].forEach((track) => {
-    if (!track) return;
-    const slides = track.querySelectorAll('.side-gallery-slide');
-    slides.forEach((s, i) => s.classList.toggle('active', i === 0));
-  });
-  leftSlideIdx = 0;
-  rightSlideIdx = 0;
+  // Keep "</script" inside inlined code from closing the tag early
+  const inlineJson = JSON.stringify(config).replace(/</g, '\\u003c');
+  const inlineJs = js.replace(/<\/script/gi, '<\\/script');
+
+  const bundle = html
+    .replace('<link rel="stylesheet" href="styles.css" />', () => `<style>\n${css}\n</style>`)
+    .replace('<script src="script.js"></script>', () => [
+      `<script type="application/json" id="experience-config">${inlineJson}</script>`,
+      `<script>\n${inlineJs}\n</script>`,
+    ].join('\n  '));
+
+  const blob = new Blob([bundle], { type: 'text/html' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `for-${config.recipient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'you'}.html`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
-// ================================================================
-//  REPLAY FUNCTIONALITY
-// ================================================================
-
-replayBtn.addEventListener('click', () => {
-  // Hide replay button immediately
-  replayBtn.classList.add('hidden');
-  // Reset all state
-  failureCount = 0;
-  noEvadeAttempts = 0;
-  noButtonGone = false;
-  selectedCells.clear();
-
-  // Reset No button
-  noBtn.style.display = '';
-  noBtn.style.transform = '';
-  noBtn.style.opacity = '';
-  noBtn.style.transition = '';
-  noBtn.style.left = '';
-  noBtn.style.top = '';
-  noBtn.classList.remove('evading');
-  noGoneMsg.textContent = '';
-  noGoneMsg.classList.remove('visible');
-
-  // Reset captcha container styles
-  captchaContainer.style.transition = '';
-  captchaContainer.style.transform = '';
-  captchaContainer.style.opacity = '';
+// ── Shareable link encoding ───────────────────────────────────
+// `z` + base64url(deflate-raw(JSON)) where CompressionStream exists,
+// otherwise `j` + base64url(JSON).
 
-  // Hide error and hint
-  captchaError.classList.remove('visible');
-  captchaHint.classList.remove('visible');
+/**
+ * Encode a config for the `config` hash parameter.
+ * @param {Object} config
+ * @returns {Promise<string>}
+ */
+async function encodeConfigParam(config) {
+  const bytes = new TextEncoder().encode(JSON.stringify(config));
+  if (typeof CompressionStream === 'undefined') {
+    return 'j' + bytesToBase64Url(bytes);
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const compressed = new Uint8Array(await new Response(stream).arrayBuffer());
+  return 'z' + bytesToBase64Url(compressed);
+}
 
-  // Reset envelope state
-  envelopeOpened = false;
-  envelopeWrapper.classList.remove('opened', 'revealed');
-  envelopePrompt.classList.remove('hidden');
-  messageCard.classList.remove('revealing');
+/**
+ * Decode a `config` hash parameter back into a config object.
+ * @param {string} param
+ * @returns {Promise<Object>}
+ */
+async function decodeConfigParam(param) {
+  const format = param[0];
+  const bytes = base64UrlToBytes(param.slice(1));
 
-  // Reset typewriter
-  resetTypewriter();
+  if (format === 'j') {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+  if (format === 'z') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return JSON.parse(await new Response(stream).text());
+  }
+  throw new Error('unknown format');
+}
 
-  // Reset gallery
-  resetGallery();
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} URL-safe base64 without padding
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  // Chunked so large photo payloads don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-  // Reset starfield
-  stopStarfield();
+/**
+ * @param {string} text - URL-safe base64, padding optional
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
 
-  // Rebuild grid
-  initCaptchaGrid();
+// ================================================================
+//  OFFLINE SUPPORT — Service worker registration (see sw.js)
+// ================================================================
 
-  // Clear confetti
-  confettiPieces = [];
-  ctx.clearRect(0, 0, confettiCanvas.width, confettiCanvas.height);
-  if (confettiAnimationId) {
-    cancelAnimationFrame(confettiAnimationId);
-    confettiAnimationId = null;
-  }
+/**
+ * Register the service worker so the site keeps working offline. Skipped
+ * where it can't or shouldn't run: file:// pages, browsers without service
+ * workers, and creator bundles (they carry their config inline).
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+  if (document.getElementById('experience-config')) return;
 
-  // Stop hearts
-  stopFloatingHearts();
-  heartsContainer.innerHTML = '';
+  navigator.serviceWorker.register('sw.js').catch((err) => {
+    console.warn('Offline support is unavailable:', err);
+  });
+}
 
-  // Navigate back to CAPTCHA
-  showPage(Pages.CAPTCHA);
-});
+/**
+ * Have the service worker keep the files some content points at. A sealed
+ * letter's photos need this: at install it only sees the `sealed` section.
+ * @param {Object} content
+ */
+function cacheForOffline(content) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active?.postMessage({ type: 'cache-assets', content });
+  });
+}
 
 // ================================================================
 //  INITIALIZATION
 // ================================================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  initCaptchaGrid();
+  // The browser's language until the config says otherwise
+  setLocale();
+
+  window.addEventListener('hashchange', handleRouteChange);
+  window.addEventListener('load', registerServiceWorker);
+
+  // The creator works without a config, so it skips loading one
+  if (splitHash(window.location.hash).route === CREATOR_ROUTE) {
+    openCreator();
+    return;
+  }
+
+  resolveConfig()
+    .then(async (config) => {
+      await unlockCountdownPreview(config.countdown);
+      applyTheme(config.theme);
+      setLocale(config.locale, config.messages);
+      applyConfig(config);
+      resetCaptchaStage();
+      resetQuizStage();
+      return askToResume().then(resumeOrStart);
+    })
+    .catch(showConfigError);
 });
@@ -0,0 +1,181 @@
+/**
+ * Service worker — keeps the site working offline once it has been opened,
+ * so it can be revisited (or installed) as a keepsake.
+ *
+ * Cache versioning: everything lives in one cache named after CACHE_VERSION.
+ * Bump it whenever photos, music or other assets change. The new worker
+ * precaches a fresh copy of everything, then deletes the old caches.
+ */
+
+// ================================================================
+//  CACHE SETUP
+// ================================================================
+
+const CACHE_VERSION = 'v4';
+const CACHE_PREFIX = 'valentines-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// The app itself. Every photo and track named in config.json is added at
+// install, and a sealed letter's photos once the page has opened it.
+const CORE_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'config.json',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-180.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+// Edited often and small: fetched fresh when online, from the cache when not
+const NETWORK_FIRST = new Set(['', 'index.html', 'styles.css', 'script.js', 'config.json']);
+
+// Web fonts pulled in by styles.css
+const FONT_HOSTS = new Set(['fonts.googleapis.com', 'fonts.gstatic.com']);
+
+/**
+ * Every file a config points at: image `src`s, srcset variants and
+ * placeholders, and the music tracks. Inline data: URLs are skipped.
+ * @param {Object} config
+ * @returns {string[]}
+ */
+function configAssets(config) {
+  const assets = new Set();
+  const add = (value) => {
+    if (typeof value === 'string' && value.trim() && !value.startsWith('data:')) assets.add(value);
+  };
+
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if (key === 'src' || key === 'placeholder') add(child);
+        else walk(child);
+      });
+    }
+  };
+  walk(config);
+
+  Object.values(config.audio?.tracks || {}).forEach(add);
+  return [...assets];
+}
+
+/**
+ * Fetch past the HTTP cache, so a new cache version really gets new files.
+ * @param {string} url
+ * @returns {Request}
+ */
+function freshRequest(url) {
+  return new Request(url, { cache: 'reload' });
+}
+
+// ================================================================
+//  LIFECYCLE
+// ================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(CORE_FILES.map(freshRequest));
+
+    // A missing photo shouldn't stop the rest of the site working offline
+    const config = await (await cache.match('config.json')).json();
+    await Promise.allSettled(configAssets(config).map((url) => cache.add(freshRequest(url))));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map((name) => caches.delete(name)),
+    );
+    await self.clients.claim();
+  })());
+});
+
+// A sealed letter's photos only become known once the page has opened it
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-assets') return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const missing = [];
+    for (const url of configAssets(event.data.content)) {
+      if (!(await cache.match(url))) missing.push(url);
+    }
+    await Promise.allSettled(missing.map((url) => cache.add(freshRequest(url))));
+  })());
+});
+
+// ================================================================
+//  FETCH STRATEGIES
+// ================================================================
+
+/**
+ * Keep a copy of a response. Partial ones (the EXIF probe only asks for the
+ * start of a photo) are skipped, and a full or failing cache isn't an error.
+ * @param {Cache} cache
+ * @param {Request} request
+ * @param {Response} response
+ */
+function keepCopy(cache, request, response) {
+  if (response.status === 206 || request.headers.has('range')) return;
+  cache.put(request, response.clone()).catch(() => {});
+}
+
+/**
+ * Try the network, keep a copy, and fall back to the cache when offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) keepCopy(cache, request, response);
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Serve from the cache, fetching (and keeping) anything not cached yet.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-cors) font responses report status 0 but are still usable
+  if (response.ok || response.type === 'opaque') keepCopy(cache, request, response);
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    const path = url.href.slice(self.registration.scope.length).split(/[?#]/)[0];
+    const fresh = request.mode === 'navigate' || NETWORK_FIRST.has(path);
+    event.respondWith(fresh ? networkFirst(request) : cacheFirst(request));
+  } else if (FONT_HOSTS.has(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});